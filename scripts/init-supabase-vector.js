@@ -1,11 +1,13 @@
-import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 import { SupabaseVectorStore } from '@langchain/community/vectorstores/supabase';
 import { OpenAIEmbeddings } from '@langchain/openai';
 import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { pdfService } from '../src/solution2/services/pdfService.js';
+import { ingestionService } from '../src/solution2/services/ingestionService.js';
 
 dotenv.config();
 
@@ -38,21 +40,29 @@ async function initializeSupabaseVectorStore() {
 		);
 		console.log('✅ Connected to Supabase');
 
-		// Load PDF
+		// Load PDF and split into chunks, tagged like documents added via the API
+		// (own document id, file name as source - matches { source: 'FK.pdf' } filters)
 		console.log('\n📄 Loading PDF file...');
 		const pdfPath = path.join(__dirname, '..', 'src', 'assets', 'FK.pdf');
-		const loader = new PDFLoader(pdfPath);
-		const docs = await loader.load();
-		console.log(`✅ PDF loaded: ${docs.length} pages`);
-
-		// Split documents
-		console.log('\n✂️  Splitting documents into chunks...');
-		const textSplitter = new RecursiveCharacterTextSplitter({
-			chunkSize: 1000,
-			chunkOverlap: 200,
+
+		// Same content hash as uploads - a seeded PDF is found by the duplicate check
+		const contentHash = ingestionService.hashContent(fs.readFileSync(pdfPath));
+		const existing = await ingestionService.findByContentHash(contentHash);
+		if (existing) {
+			console.log(
+				`✅ FK.pdf is already in the vector store (document ${
+					existing.documentId || existing.source
+				}) - nothing to do`
+			);
+			return;
+		}
+
+		const { chunks } = await ingestionService.loadChunks(pdfPath, {
+			documentId: crypto.randomUUID(),
+			source: pdfPath,
+			uploadedAt: new Date().toISOString(),
+			contentHash,
 		});
-		const chunks = await textSplitter.splitDocuments(docs);
-		console.log(`✅ Created ${chunks.length} chunks`);
 
 		// Initialize embeddings
 		console.log('\n🔢 Initializing OpenAI embeddings...');
@@ -62,19 +72,25 @@ async function initializeSupabaseVectorStore() {
 		});
 		console.log('✅ Embeddings initialized');
 
+		// Embed chunks in batches
+		console.log('\n🔢 Embedding chunks...');
+		const embedded = await pdfService.embedBatch(
+			chunks.map((chunk) => chunk.pageContent)
+		);
+		console.log(
+			`✅ Embedded ${chunks.length} chunks (${embedded.tokens} tokens)`
+		);
+
 		// Create vector store and upload documents
 		console.log('\n📤 Uploading documents to Supabase...');
 		console.log('⏳ This may take a few minutes...');
 
-		const vectorStore = await SupabaseVectorStore.fromDocuments(
-			chunks,
-			embeddings,
-			{
-				client: supabaseClient,
-				tableName: 'embeddings',
-				queryName: 'match_embeddings',
-			}
-		);
+		const vectorStore = new SupabaseVectorStore(embeddings, {
+			client: supabaseClient,
+			tableName: 'embeddings',
+			queryName: 'match_embeddings',
+		});
+		await vectorStore.addVectors(embedded.embeddings, chunks);
 
 		console.log('✅ Documents uploaded successfully!');
 
@@ -18,6 +18,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy: trust its X-Forwarded-For so req.ip is the client (per-client budgets)
+if (process.env.TRUST_PROXY) {
+	app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware configuration
 app.use(cors());
 app.use(express.json());
@@ -6,6 +6,8 @@ const state = {
 	isQuerying: false,
 	lastUsedSolution: null, // Track which solution was last used for history display
 	currentHistorySolution: 'solution1', // Track which solution's history is currently displayed
+	budgets: { solution1: null, solution2: null }, // Latest budget status per solution
+	lastBudgetSolution: null,
 };
 
 // DOM elements
@@ -24,6 +26,8 @@ const elements = {
 	historyContent: document.getElementById('historyContent'),
 	historyEmpty: document.getElementById('historyEmpty'),
 	totalCost: document.getElementById('totalCost'),
+	budgetStatus: document.getElementById('budgetStatus'),
+	budgetRemaining: document.getElementById('budgetRemaining'),
 	switchToSolution1History: document.getElementById('switchToSolution1History'),
 	switchToSolution2History: document.getElementById('switchToSolution2History'),
 
@@ -39,6 +43,15 @@ const elements = {
 	cost1: document.getElementById('cost1'),
 	responseTime1: document.getElementById('responseTime1'),
 	vectorStoreStatus1: document.getElementById('vectorStoreStatus1'),
+	uploadInput1: document.getElementById('uploadInput1'),
+	uploadBtn1: document.getElementById('uploadBtn1'),
+	uploadStatus1: document.getElementById('uploadStatus1'),
+	manageFilesBtn1: document.getElementById('manageFilesBtn1'),
+	filePanel1: document.getElementById('filePanel1'),
+	fileList1: document.getElementById('fileList1'),
+	refreshFilesBtn1: document.getElementById('refreshFilesBtn1'),
+	recreateStoreBtn1: document.getElementById('recreateStoreBtn1'),
+	hideFilesBtn1: document.getElementById('hideFilesBtn1'),
 
 	// Solution 2 container and elements
 	solution2Container: document.getElementById('solution2Container'),
@@ -84,6 +97,63 @@ function formatMarkdown(text) {
 		);
 }
 
+// Render answer text with [n] citation markers at the cited positions
+function formatCitedAnswer(text, citations) {
+	if (!text) return '';
+	if (!citations || citations.length === 0) return formatMarkdown(text);
+
+	// Insert markers from the end so earlier positions stay valid
+	const markers = citations
+		.flatMap((citation) =>
+			citation.positions.map((position) => ({
+				position,
+				number: citation.number,
+			}))
+		)
+		.sort((a, b) => b.position - a.position);
+
+	let marked = text;
+	markers.forEach(({ position, number }) => {
+		marked = `${marked.slice(0, position)}\u27E6${number}\u27E7${marked.slice(
+			position
+		)}`;
+	});
+
+	return formatMarkdown(marked).replace(
+		/\u27E6(\d+)\u27E7/g,
+		'<sup class="text-blue-600 font-semibold">[$1]</sup>'
+	);
+}
+
+// Footnote list for file citations
+function renderCitationFootnotes(citations) {
+	if (!citations || citations.length === 0) return '';
+
+	return `
+		<ol class="mt-3 pt-2 border-t border-blue-100 text-xs text-gray-600 space-y-1">
+			${citations
+				.map(
+					(citation) => `
+				<li>
+					<span class="font-semibold text-blue-600">[${citation.number}]</span>
+					<span class="font-medium">📄 ${escapeHtml(
+						citation.fileName || citation.fileId
+					)}</span>
+					${
+						citation.snippet
+							? `<span class="italic text-gray-500">— "${escapeHtml(
+									citation.snippet
+							  )}"</span>`
+							: ''
+					}
+				</li>
+			`
+				)
+				.join('')}
+		</ol>
+	`;
+}
+
 function formatTimestamp(timestamp) {
 	const date = new Date(timestamp);
 	return date.toLocaleString('sv-SE', {
@@ -96,6 +166,42 @@ function formatTimestamp(timestamp) {
 	});
 }
 
+// Read a Server-Sent Events stream from a fetch response
+// Calls onEvent(eventName, data) for every complete event
+async function readEventStream(response, onEvent) {
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) break;
+
+		buffer += decoder.decode(value, { stream: true });
+
+		// Events are separated by a blank line
+		let boundary;
+		while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+			const rawEvent = buffer.slice(0, boundary);
+			buffer = buffer.slice(boundary + 2);
+
+			let eventName = 'message';
+			let data = '';
+			rawEvent.split('\n').forEach((line) => {
+				if (line.startsWith('event:')) {
+					eventName = line.slice(6).trim();
+				} else if (line.startsWith('data:')) {
+					data += line.slice(5).trim();
+				}
+			});
+
+			if (data) {
+				onEvent(eventName, JSON.parse(data));
+			}
+		}
+	}
+}
+
 // Load conversation history for Solution 1
 async function loadHistory1(displayInPanel = false) {
 	try {
@@ -187,13 +293,21 @@ function displayHistory(data, solution) {
 				<div class="text-xs font-semibold text-gray-600 mb-1">❓ Question:</div>
 				<div class="text-sm text-gray-800 bg-white rounded p-2">
 					${formatMarkdown(item.query)}
+					${
+						item.standaloneQuestion
+							? `<div class="text-xs text-gray-500 mt-1">🔄 Interpreted as: <span class="italic">${escapeHtml(
+									item.standaloneQuestion
+							  )}</span></div>`
+							: ''
+					}
 				</div>
 			</div>
 			<div class="grid md:grid-cols-2 gap-3">
 				<div>
 					<div class="text-xs font-semibold text-blue-600 mb-1">📄 File Answer:</div>
 					<div class="text-xs text-gray-700 bg-blue-50 rounded p-2 max-h-32 overflow-y-auto">
-						${formatMarkdown(item.fileAnswer)}
+						${formatCitedAnswer(item.fileAnswer, item.fileCitations)}
+						${renderCitationFootnotes(item.fileCitations)}
 					</div>
 				</div>
 				<div>
@@ -265,6 +379,81 @@ function updateTotalCost(cost) {
 	elements.totalCost.textContent = `$${(cost || 0).toFixed(6)}`;
 }
 
+// Store budget status of a solution and refresh the display
+function updateBudget(solution, budget) {
+	if (!budget) return;
+	state.budgets[solution] = budget;
+	state.lastBudgetSolution = solution;
+	renderBudget();
+}
+
+// Show remaining budget (thread per solution, daily and global shared)
+function renderBudget() {
+	const latest = state.budgets[state.lastBudgetSolution];
+	if (!latest) return;
+
+	const parts = [];
+	[
+		['solution1', 'S1 thread'],
+		['solution2', 'S2 thread'],
+	].forEach(([solution, label]) => {
+		const remaining = state.budgets[solution]?.remaining.thread;
+		if (remaining !== null && remaining !== undefined) {
+			parts.push(`${label} $${remaining.toFixed(4)}`);
+		}
+	});
+	if (
+		latest.remaining.client !== null &&
+		latest.remaining.client !== undefined
+	) {
+		parts.push(`you today $${latest.remaining.client.toFixed(4)}`);
+	}
+	if (latest.remaining.daily !== null) {
+		parts.push(`today $${latest.remaining.daily.toFixed(4)}`);
+	}
+	if (latest.remaining.global !== null) {
+		parts.push(`total $${latest.remaining.global.toFixed(4)}`);
+	}
+
+	// No limits configured
+	if (parts.length === 0) {
+		elements.budgetStatus.classList.add('hidden');
+		return;
+	}
+
+	const exceeded = Object.values(state.budgets).some(
+		(budget) => budget?.exceeded.length > 0
+	);
+	elements.budgetRemaining.textContent = parts.join(' · ');
+	elements.budgetRemaining.className = `ml-2 font-mono ${
+		exceeded ? 'text-red-600' : 'text-green-700'
+	}`;
+	elements.budgetStatus.title = latest.message || '';
+	elements.budgetStatus.classList.remove('hidden');
+}
+
+// Load budget status of both solutions
+async function loadBudgets() {
+	const threads = {
+		solution1: state.threadId1,
+		solution2: state.threadId2,
+	};
+
+	for (const [solution, threadId] of Object.entries(threads)) {
+		try {
+			const response = await fetch(
+				`/api/${solution}/budget?threadId=${encodeURIComponent(threadId)}`
+			);
+			const data = await response.json();
+			if (data.success) {
+				updateBudget(solution, data.budget);
+			}
+		} catch (error) {
+			console.error(`Failed to load ${solution} budget:`, error);
+		}
+	}
+}
+
 // Clear conversation history
 async function clearHistory1() {
 	if (!confirm('Are you sure you want to clear all conversation history?')) {
@@ -388,6 +577,218 @@ async function loadConfig1() {
 	}
 }
 
+// Upload a PDF to the Solution 1 Vector Store (admin token required)
+async function uploadDocument1() {
+	const file = elements.uploadInput1.files[0];
+	if (!file) {
+		showError('Please choose a PDF file to upload');
+		return;
+	}
+
+	const adminToken = prompt(
+		'Uploaded files are searched by every user.\nEnter admin token:'
+	);
+	if (!adminToken) {
+		return;
+	}
+
+	elements.uploadBtn1.disabled = true;
+	elements.uploadStatus1.textContent = '⏳ Uploading and processing...';
+
+	try {
+		const formData = new FormData();
+		formData.append('file', file);
+
+		const response = await fetch('/api/solution1/upload', {
+			method: 'POST',
+			headers: { 'X-Admin-Token': adminToken },
+			body: formData,
+		});
+		const data = await response.json();
+
+		if (!response.ok) {
+			throw new Error(
+				data.error?.message || data.error || `Upload failed (${data.status})`
+			);
+		}
+
+		elements.uploadStatus1.textContent =
+			data.status === 'completed'
+				? `✅ ${data.fileName} added`
+				: `⏳ ${data.fileName} still processing`;
+		elements.uploadInput1.value = '';
+
+		// Refresh file count (and file list if the panel is open)
+		await loadConfig1();
+		if (!elements.filePanel1.classList.contains('hidden')) {
+			await loadFiles1();
+		}
+	} catch (error) {
+		console.error('❌ Upload failed:', error);
+		elements.uploadStatus1.textContent = `❌ ${error.message}`;
+	} finally {
+		elements.uploadBtn1.disabled = false;
+	}
+}
+
+// Escape text for use inside innerHTML templates
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Format file size in human-readable form
+function formatBytes(bytes) {
+	if (bytes === null || bytes === undefined) return '-';
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Load files in the Solution 1 Vector Store into the management panel
+async function loadFiles1() {
+	elements.fileList1.innerHTML = `
+		<div class="flex items-center justify-center gap-2 text-gray-500 py-4">
+			<div class="loading-spinner"></div>
+			<span>Loading files...</span>
+		</div>
+	`;
+
+	try {
+		const response = await fetch('/api/solution1/files');
+		const data = await response.json();
+
+		if (!response.ok) {
+			throw new Error(data.error?.message || 'Failed to load files');
+		}
+
+		if (data.files.length === 0) {
+			elements.fileList1.innerHTML = `
+				<p class="text-gray-500 text-center py-4">No files in Vector Store</p>
+			`;
+			return;
+		}
+
+		const statusColors = {
+			completed: 'bg-green-100 text-green-800',
+			in_progress: 'bg-yellow-100 text-yellow-800',
+			failed: 'bg-red-100 text-red-800',
+		};
+
+		elements.fileList1.innerHTML = data.files
+			.map(
+				(file) => `
+			<div class="flex items-center justify-between gap-3 bg-gray-50 rounded-lg p-3 border border-gray-200">
+				<div class="min-w-0">
+					<div class="font-medium text-gray-900 truncate">${escapeHtml(
+						file.filename || file.id
+					)}</div>
+					<div class="text-xs text-gray-500 font-mono">${file.id} · ${formatBytes(
+					file.bytes
+				)}</div>
+					${
+						file.last_error
+							? `<div class="text-xs text-red-700">${escapeHtml(
+									file.last_error
+							  )}</div>`
+							: ''
+					}
+				</div>
+				<div class="flex items-center gap-2 shrink-0">
+					<span class="text-xs px-2 py-0.5 rounded-full ${
+						statusColors[file.status] || 'bg-gray-100 text-gray-800'
+					}">${file.status}</span>
+					<button data-file-id="${file.id}" data-action="detach"
+						class="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 py-1 px-2 rounded">
+						Detach
+					</button>
+					<button data-file-id="${file.id}" data-action="delete"
+						class="text-xs bg-red-50 hover:bg-red-100 text-red-700 py-1 px-2 rounded">
+						Delete
+					</button>
+				</div>
+			</div>
+		`
+			)
+			.join('');
+	} catch (error) {
+		console.error('❌ Failed to load files:', error);
+		elements.fileList1.innerHTML = `
+			<div class="text-red-800 bg-red-50 p-3 rounded">❌ ${error.message}</div>
+		`;
+	}
+}
+
+// Detach or delete a file from the Solution 1 Vector Store (admin token required)
+async function removeFile1(fileId, deleteFile) {
+	const action = deleteFile ? 'delete' : 'detach';
+	if (!confirm(`Are you sure you want to ${action} ${fileId}?`)) {
+		return;
+	}
+
+	const adminToken = prompt(
+		deleteFile
+			? 'Deleting removes the file from OpenAI.\nEnter admin token:'
+			: 'Detaching removes the file from search for every user.\nEnter admin token:'
+	);
+	if (!adminToken) {
+		return;
+	}
+
+	try {
+		const response = await fetch(
+			`/api/solution1/files/${fileId}${deleteFile ? '?delete=true' : ''}`,
+			{ method: 'DELETE', headers: { 'X-Admin-Token': adminToken } }
+		);
+		const data = await response.json();
+
+		if (!response.ok) {
+			throw new Error(data.error?.message || data.error || 'Request failed');
+		}
+
+		await Promise.all([loadFiles1(), loadConfig1()]);
+	} catch (error) {
+		console.error(`❌ Failed to ${action} file:`, error);
+		showError(`Failed to ${action} file: ` + error.message);
+	}
+}
+
+// Recreate the Solution 1 Vector Store from src/assets (admin token required)
+async function recreateVectorStore1() {
+	const adminToken = prompt(
+		'This replaces the Vector Store with the PDFs in src/assets.\nEnter admin token:'
+	);
+	if (!adminToken) {
+		return;
+	}
+
+	showLoading('Recreating Vector Store...');
+
+	try {
+		const response = await fetch('/api/solution1/vector-store/recreate', {
+			method: 'POST',
+			headers: { 'X-Admin-Token': adminToken },
+		});
+		const data = await response.json();
+
+		if (!response.ok) {
+			throw new Error(data.error?.message || data.error || 'Request failed');
+		}
+
+		showMessage(`✅ Vector Store recreated.\n${data.message}`);
+		await Promise.all([loadFiles1(), loadConfig1()]);
+	} catch (error) {
+		console.error('❌ Failed to recreate Vector Store:', error);
+		showError('Failed to recreate Vector Store: ' + error.message);
+	} finally {
+		hideLoading();
+	}
+}
+
 // Load Solution 2 usage statistics - Removed (no longer tracking Free/Paid LLM counts)
 
 // Query Solution 1 (OpenAI)
@@ -419,7 +820,7 @@ async function querySolution1(query) {
 	`;
 
 	try {
-		const response = await fetch('/api/solution1/query', {
+		const response = await fetch('/api/solution1/query/stream', {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
@@ -430,43 +831,89 @@ async function querySolution1(query) {
 			}),
 		});
 
-		const data = await response.json();
-
+		// Validation and budget errors are returned as plain JSON before streaming starts
 		if (!response.ok) {
-			throw new Error(data.error || 'Query failed');
+			const data = await response.json();
+			updateBudget('solution1', data.budget);
+			throw new Error(data.error?.message || data.error || 'Query failed');
 		}
 
-		if (data.success) {
-			// Display file search results
-			elements.fileAnswer1.innerHTML = `
-				<div class="prose max-w-none fade-in">
-					<p class="text-gray-800 leading-relaxed">${formatMarkdown(data.fileAnswer)}</p>
-				</div>
-			`;
+		// Accumulated answer text per channel
+		const answers = { file: '', web: '' };
+		const targets = { file: elements.fileAnswer1, web: elements.webAnswer1 };
+		let streamError = null;
+		let doneData = null;
+
+		await readEventStream(response, (eventName, data) => {
+			if (eventName === 'file' || eventName === 'web') {
+				// Reveal results as soon as the first tokens arrive
+				hideLoading();
+				answers[eventName] += data.delta;
+				targets[eventName].innerHTML = `
+					<div class="prose max-w-none">
+						<p class="text-gray-800 whitespace-pre-wrap leading-relaxed">${formatMarkdown(
+							answers[eventName]
+						)}</p>
+					</div>
+				`;
+			} else if (eventName === 'done') {
+				doneData = data;
+			} else if (eventName === 'error') {
+				streamError = data.error;
+			}
+		});
 
-			// Display web search results
-			elements.webAnswer1.innerHTML = `
-				<div class="prose max-w-none fade-in">
-					<p class="text-gray-800 whitespace-pre-wrap leading-relaxed">${formatMarkdown(
-						data.webAnswer
-					)}</p>
-				</div>
-			`;
+		if (streamError) {
+			throw new Error(streamError);
+		}
+
+		if (doneData) {
+			// Re-render file answer with citation markers and footnotes
+			if (doneData.fileCitations?.length > 0) {
+				elements.fileAnswer1.innerHTML = `
+					<div class="prose max-w-none">
+						<p class="text-gray-800 whitespace-pre-wrap leading-relaxed">${formatCitedAnswer(
+							answers.file,
+							doneData.fileCitations
+						)}</p>
+						${renderCitationFootnotes(doneData.fileCitations)}
+					</div>
+				`;
+			}
 
 			// Display token usage
-			if (data.usage) {
+			if (doneData.usage) {
 				elements.tokenUsage1.classList.remove('hidden');
-				elements.inputTokens1.textContent = `${data.usage.input_tokens.toLocaleString()}`;
-				elements.outputTokens1.textContent = `${data.usage.output_tokens.toLocaleString()}`;
-				elements.cost1.textContent = `$${data.usage.estimated_cost.toFixed(6)}`;
+				elements.inputTokens1.textContent = `${doneData.usage.input_tokens.toLocaleString()}`;
+				elements.outputTokens1.textContent = `${doneData.usage.output_tokens.toLocaleString()}`;
+				elements.cost1.textContent = `$${doneData.usage.estimated_cost.toFixed(
+					6
+				)}`;
 				elements.responseTime1.textContent = `${
-					data.usage.response_time
-						? data.usage.response_time.toFixed(2) + 's'
+					doneData.usage.response_time
+						? doneData.usage.response_time.toFixed(2) + 's'
 						: '-'
 				}`;
 			}
 
-			console.log('✅ Solution 1 query successful:', data);
+			if (doneData.cached) {
+				elements.fileAnswer1.insertAdjacentHTML(
+					'afterbegin',
+					renderCachedNotice(doneData.cache)
+				);
+			}
+
+			// Over budget in degrade mode: file search only
+			if (doneData.webSearchSkipped) {
+				elements.webAnswer1.innerHTML = `
+					<p class="text-orange-700 bg-orange-50 p-3 rounded text-sm">
+						💸 Web search skipped - budget reached (file search only)
+					</p>
+				`;
+			}
+			updateBudget('solution1', doneData.budget);
+
+			console.log('✅ Solution 1 query successful:', doneData);
 
 			// Update total cost in background
 			loadHistory1().then(() => {
@@ -485,7 +932,141 @@ async function querySolution1(query) {
 	}
 }
 
-// Query Solution 2 (RAG Chain)
+// Extract filename from source path (if it's a full path)
+function getSourceName(source) {
+	if (!source) return 'FK.pdf';
+	if (source.includes('\\') || source.includes('/')) {
+		return source.split(/[\\/]/).pop();
+	}
+	return source;
+}
+
+// Render Solution 2 retrieved chunks with page links and similarity scores
+function renderSolution2Sources(sources) {
+	if (!sources || sources.length === 0) return '';
+
+	return `
+		<div class="mt-3 border-t border-blue-100 pt-2">
+			<p class="text-xs font-semibold text-gray-600 mb-1">📑 Sources (${
+				sources.length
+			} retrieved chunks):</p>
+			<ul class="space-y-1">
+				${sources
+					.map(
+						(source) => `
+				<li class="text-xs text-gray-700">
+					<details>
+						<summary class="cursor-pointer hover:text-gray-900">
+							📄 ${escapeHtml(getSourceName(source.source))}${
+							source.page ? `, page ${source.page}` : ''
+						}
+							${
+								typeof source.score === 'number'
+									? `<span class="font-mono text-gray-500">(score ${source.score.toFixed(
+											3
+									  )})</span>`
+									: ''
+							}
+							${
+								typeof source.rerankScore === 'number'
+									? `<span class="font-mono text-gray-500">(rerank ${source.rerankScore}/10, was #${source.retrievalRank})</span>`
+									: ''
+							}
+							${
+								source.url
+									? `<a href="${
+											source.url
+									  }" target="_blank" class="text-blue-600 hover:underline ml-1" onclick="event.stopPropagation()">Open${
+											source.page ? ' page' : ''
+									  } ↗</a>`
+									: ''
+							}
+						</summary>
+						<div class="mt-1 bg-blue-50 border-l-4 border-blue-500 p-3 rounded-r max-h-96 overflow-y-auto">
+							<p class="text-xs text-gray-700 whitespace-pre-wrap">${escapeHtml(
+								source.content
+							)}</p>
+						</div>
+					</details>
+				</li>
+			`
+					)
+					.join('')}
+			</ul>
+		</div>
+	`;
+}
+
+// Show how a follow-up question was rewritten for retrieval
+function renderCondensedQuestion(condensedQuestion) {
+	if (!condensedQuestion?.rewritten) return '';
+	return `
+		<p class="text-xs text-gray-500 bg-gray-50 rounded px-2 py-1 mb-3">
+			🔄 Interpreted as: <span class="italic">${escapeHtml(
+				condensedQuestion.standalone
+			)}</span>
+		</p>
+	`;
+}
+
+// Show that an answer was reused from a similar earlier question
+// (the earlier question itself is not sent: it may come from another user)
+function renderCachedNotice(cache) {
+	if (!cache) return '';
+	const similarity = (Number(cache.similarity) * 100).toFixed(1);
+	return `
+		<p class="text-xs text-green-700 bg-green-50 rounded px-2 py-1 mb-3">
+			⚡ Cached answer (${similarity}% match with an earlier question)
+		</p>
+	`;
+}
+
+// Render Solution 2 file search + LLM answer
+function renderSolution2Answer(answer, sources, condensedQuestion, cache) {
+	elements.fileAnswer2.innerHTML = `
+		<div class="prose max-w-none">
+			${renderCachedNotice(cache)}
+			${renderCondensedQuestion(condensedQuestion)}
+			<p class="text-gray-800 leading-relaxed text-base mb-4">
+				${formatMarkdown(answer)}
+			</p>${renderSolution2Sources(sources)}
+		</div>
+	`;
+}
+
+// Render Solution 2 web search result (top result only)
+function renderSolution2Web(webSearch) {
+	if (webSearch?.topResult) {
+		const topResult = webSearch.topResult;
+		elements.webAnswer2.innerHTML = `
+			<div class="prose max-w-none fade-in">
+				<p class="text-xs text-gray-500 mb-3">
+					🌐 Top result (from ${webSearch.totalResults} results)
+				</p>
+				<div class="bg-green-50 border-l-4 border-green-500 p-4 rounded-r">
+					<p class="font-semibold text-base text-gray-900 mb-2">${topResult.title}</p>
+					<a href="${topResult.url}" target="_blank" class="text-sm text-blue-600 hover:underline block mb-3">
+						${topResult.url}
+					</a>
+					<p class="text-gray-800 text-sm leading-relaxed">${topResult.content}</p>
+				</div>
+			</div>
+		`;
+	} else if (webSearch?.skipped) {
+		// Over budget in degrade mode: no web search
+		elements.webAnswer2.innerHTML = `
+			<p class="text-orange-700 bg-orange-50 p-3 rounded text-sm">
+				💸 Web search skipped - budget reached
+			</p>
+		`;
+	} else {
+		elements.webAnswer2.innerHTML = `
+			<p class="text-gray-500 text-center py-8">No web results</p>
+		`;
+	}
+}
+
+// Query Solution 2 (RAG Chain) - streams retrieval results, then answer tokens
 async function querySolution2(query) {
 	state.lastUsedSolution = 'solution2';
 
@@ -509,7 +1090,7 @@ async function querySolution2(query) {
 	`;
 
 	try {
-		const response = await fetch('/api/solution2/query', {
+		const response = await fetch('/api/solution2/query/stream', {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
@@ -520,114 +1101,93 @@ async function querySolution2(query) {
 			}),
 		});
 
-		const data = await response.json();
-
+		// Validation errors are returned as plain JSON before streaming starts
 		if (!response.ok) {
+			const data = await response.json();
+			updateBudget('solution2', data.budget);
 			throw new Error(data.error || 'Query failed');
 		}
 
-		if (data.success) {
-			const resultData = data.data;
-
-			// Display file search + LLM result
-			if (resultData.fileSearchWithLLM) {
-				const fileResult = resultData.fileSearchWithLLM;
-
-				// Extract filename from source path (if it's a full path)
-				const getSourceName = (source) => {
-					if (!source) return 'FK.pdf';
-					// If it's a full path, extract just the filename
-					if (source.includes('\\') || source.includes('/')) {
-						return source.split(/[\\/]/).pop();
-					}
-					return source;
-				};
-
-				const sourceName = getSourceName(fileResult.sourceDocument?.source);
-
+		let retrieval = null;
+		let answer = '';
+		let streamError = null;
+		let doneData = null;
+
+		await readEventStream(response, (eventName, data) => {
+			if (eventName === 'retrieval') {
+				// Search results arrive before the LLM starts answering
+				hideLoading();
+				retrieval = data;
+				renderSolution2Web(data.webSearch);
 				elements.fileAnswer2.innerHTML = `
-				<div class="prose max-w-none fade-in">
-					<p class="text-gray-800 leading-relaxed text-base mb-4">
-						${formatMarkdown(fileResult.answer)}
-					</p>${
-						fileResult.sourceDocument
-							? `
-					<details class="mt-2">
-						<summary class="cursor-pointer text-xs text-gray-600 hover:text-gray-800 font-semibold">
-							📊 Highest Score Source: ${sourceName} 
-							(from ${fileResult.totalDocuments} retrieved documents) - Click to view full text
-						</summary>
-						<div class="mt-2 bg-blue-50 border-l-4 border-blue-500 p-3 rounded-r max-h-96 overflow-y-auto">
-							<p class="text-xs text-gray-700 whitespace-pre-wrap">${fileResult.sourceDocument.content}</p>
-						</div>
-					</details>`
-							: ''
-					}
-				</div>
-			`;
+					<div class="flex items-center justify-center gap-2 text-gray-500 py-8">
+						<div class="loading-spinner"></div>
+						<span>${
+							data.totalDocuments > 0
+								? `Generating answer from ${data.totalDocuments} documents...`
+								: 'No relevant passages in the documents'
+						}</span>
+					</div>
+				`;
+			} else if (eventName === 'token') {
+				answer += data.token;
+				renderSolution2Answer(
+					answer,
+					retrieval?.sources,
+					retrieval?.condensedQuestion,
+					retrieval?.cache
+				);
+			} else if (eventName === 'done') {
+				doneData = data;
+			} else if (eventName === 'error') {
+				streamError = data.error;
+			}
+		});
 
-				// Update model badge
-				const isFree = fileResult.cost === 'free';
-				elements.modelBadge2.textContent = isFree ? '✅ Free' : '💰 Paid';
-				elements.modelBadge2.className = `text-xs px-2 py-0.5 rounded-full ${
-					isFree
-						? 'bg-green-100 text-green-800'
-						: 'bg-orange-100 text-orange-800'
-				}`;
-			} else {
+		if (streamError) {
+			throw new Error(streamError);
+		}
+
+		if (doneData) {
+			if (!answer) {
 				elements.fileAnswer2.innerHTML = `
 					<p class="text-gray-500 text-center py-8">No file search results</p>
 				`;
 			}
 
-			// Display web search result (top result only)
-			if (resultData.webSearch?.topResult) {
-				const topResult = resultData.webSearch.topResult;
-				elements.webAnswer2.innerHTML = `
-					<div class="prose max-w-none fade-in">
-						<p class="text-xs text-gray-500 mb-3">
-							🌐 Top result (from ${resultData.webSearch.totalResults} results)
-						</p>
-						<div class="bg-green-50 border-l-4 border-green-500 p-4 rounded-r">
-							<p class="font-semibold text-base text-gray-900 mb-2">${topResult.title}</p>
-							<a href="${topResult.url}" target="_blank" class="text-sm text-blue-600 hover:underline block mb-3">
-								${topResult.url}
-							</a>
-							<p class="text-gray-800 text-sm leading-relaxed">${topResult.content}</p>
-						</div>
-					</div>
-				`;
-			} else {
-				elements.webAnswer2.innerHTML = `
-					<p class="text-gray-500 text-center py-8">No web results</p>
-				`;
-			}
+			// Update model badge
+			const isFree = doneData.cost === 'free';
+			elements.modelBadge2.textContent = isFree ? '✅ Free' : '💰 Paid';
+			elements.modelBadge2.className = `text-xs px-2 py-0.5 rounded-full ${
+				isFree ? 'bg-green-100 text-green-800' : 'bg-orange-100 text-orange-800'
+			}`;
 
 			// Show token usage if available (LLM)
-			if (resultData.usage) {
+			if (doneData.usage) {
 				elements.tokenUsage2.classList.remove('hidden');
-				elements.inputTokens2.textContent = resultData.usage.inputTokens || '-';
-				elements.outputTokens2.textContent =
-					resultData.usage.outputTokens || '-';
-				elements.cost2.textContent = resultData.usage.cost || '$0.00';
+				elements.inputTokens2.textContent = doneData.usage.inputTokens || '-';
+				elements.outputTokens2.textContent = doneData.usage.outputTokens || '-';
+				elements.cost2.textContent = doneData.usage.cost || '$0.00';
 			}
 
 			// Show response time
-			if (resultData.responseTime) {
-				elements.responseTime2.textContent = `${resultData.responseTime.toFixed(
+			if (doneData.responseTime) {
+				elements.responseTime2.textContent = `${doneData.responseTime.toFixed(
 					2
 				)}s`;
 			}
 
 			// Update model display
-			if (resultData.model) {
-				elements.solution2Model.textContent = resultData.model;
+			if (doneData.model) {
+				elements.solution2Model.textContent = doneData.model;
 			}
 
+			updateBudget('solution2', doneData.budget);
+
 			// Update history and total cost
 			await loadHistory2(false);
 
-			console.log('✅ Solution 2 query successful:', data);
+			console.log('✅ Solution 2 query successful:', doneData);
 		}
 	} catch (error) {
 		console.error('❌ Solution 2 query failed:', error);
@@ -779,6 +1339,33 @@ elements.queryInput.addEventListener('input', (e) => {
 	}
 });
 
+// Document upload (Solution 1)
+elements.uploadBtn1.addEventListener('click', uploadDocument1);
+
+// Vector Store file management (Solution 1)
+elements.manageFilesBtn1.addEventListener('click', async () => {
+	elements.filePanel1.classList.remove('hidden');
+	await loadFiles1();
+});
+
+elements.hideFilesBtn1.addEventListener('click', () => {
+	elements.filePanel1.classList.add('hidden');
+});
+
+elements.refreshFilesBtn1.addEventListener('click', loadFiles1);
+
+elements.recreateStoreBtn1.addEventListener('click', recreateVectorStore1);
+
+elements.fileList1.addEventListener('click', async (e) => {
+	const button = e.target.closest('button[data-file-id]');
+	if (button) {
+		await removeFile1(
+			button.dataset.fileId,
+			button.dataset.action === 'delete'
+		);
+	}
+});
+
 // History controls event listeners
 elements.showHistoryBtn.addEventListener('click', async () => {
 	elements.historyPanel.classList.remove('hidden');
@@ -824,6 +1411,7 @@ console.log('   Solution 2: gpt-4o-mini (OpenAI) + text-embedding-3-small');
 
 // Load configurations
 loadConfig1();
+loadBudgets();
 
 // Initialize history UI (default to Solution 1)
 updateHistoryUI('solution1');
@@ -15,41 +15,102 @@ export const GEMINI_MODELS = {
 	PRO: 'gemini-1.5-pro',
 };
 
-// 模型成本信息（用于日志记录）
+// LLM 提供方类型 (Solution 2, 见 llmProviders.js)
+// openai-compatible: 任意兼容 OpenAI API 的服务 (如本地 llama.cpp / Ollama)
+export const LLM_PROVIDER_TYPES = ['openai', 'gemini', 'openai-compatible'];
+
+// OpenAI Embedding模型配置
+export const EMBEDDING_MODELS = {
+	// 最便宜的Embedding模型
+	SMALL: 'text-embedding-3-small',
+};
+
+// 模型价格表（美元 / 100万 tokens）- 所有成本计算的唯一来源（见 CostCalculator）
+// 更换模型或价格时只需修改这里
 export const MODEL_COSTS = {
 	'gpt-4o-mini': {
 		provider: 'OpenAI',
+		type: 'chat',
 		cost: 'paid',
-		inputPrice: '$0.15 / 1M tokens',
-		outputPrice: '$0.60 / 1M tokens',
+		inputPerMillion: 0.15,
+		outputPerMillion: 0.6,
 		note: '最便宜的OpenAI模型',
 	},
+	'text-embedding-3-small': {
+		provider: 'OpenAI',
+		type: 'embedding',
+		cost: 'paid',
+		inputPerMillion: 0.02,
+		outputPerMillion: 0,
+		note: '最便宜的OpenAI Embedding模型',
+	},
 	'gemini-2.0-flash-exp': {
 		provider: 'Google',
+		type: 'chat',
 		cost: 'free',
+		inputPerMillion: 0,
+		outputPerMillion: 0,
 		note: '免费模型',
 	},
 	'gemini-1.5-pro': {
 		provider: 'Google',
+		type: 'chat',
 		cost: 'free',
+		inputPerMillion: 0,
+		outputPerMillion: 0,
 		note: '免费模型',
 	},
 };
 
+// 工具调用价格（美元 / 次）
+export const TOOL_COSTS = {
+	// OpenAI Responses API web_search_preview (gpt-4o-mini, $25 / 1K calls)
+	web_search_preview: {
+		provider: 'OpenAI',
+		perCall: 0.025,
+		note: 'OpenAI网页搜索工具',
+	},
+	// Tavily basic search = 1 credit (pay-as-you-go $0.008 / credit)
+	tavily_search: {
+		provider: 'Tavily',
+		perCall: 0.008,
+		note: '免费额度: 每月1000次',
+	},
+};
+
 // API端点配置
 export const API_ENDPOINTS = {
 	SOLUTION1: {
 		UPLOAD: '/api/solution1/upload',
 		QUERY: '/api/solution1/query',
+		QUERY_STREAM: '/api/solution1/query/stream',
 		HISTORY: '/api/solution1/history',
+		BUDGET: '/api/solution1/budget',
+		CACHE: '/api/solution1/cache',
 	},
 	SOLUTION2: {
 		QUERY: '/api/solution2/query',
+		QUERY_STREAM: '/api/solution2/query/stream',
+		AGENT: '/api/solution2/agent',
+		DOCUMENTS: '/api/solution2/documents',
 		HISTORY: '/api/solution2/history',
 		USAGE: '/api/solution2/usage',
+		BUDGET: '/api/solution2/budget',
+		CACHE: '/api/solution2/cache',
+		PROVIDERS: '/api/solution2/providers',
 	},
 };
 
+// Solution 2 文件检索模式: vector (向量相似度, 默认) / hybrid (关键词 + 向量, RRF融合)
+export const SEARCH_MODES = ['vector', 'hybrid'];
+
+// Solution 2 检索元数据过滤字段及类型 (对应 chunk metadata, 使用 metadata @> filter 匹配)
+export const SEARCH_FILTER_FIELDS = {
+	source: 'string', // 文档文件名
+	category: 'string', // 福利类别 (如 barnbidrag)
+	year: 'number', // 文档年份
+};
+
 // 文件上传配置
 export const UPLOAD_CONFIG = {
 	MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
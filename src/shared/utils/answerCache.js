@@ -0,0 +1,223 @@
+import OpenAI from 'openai';
+import { EMBEDDING_MODELS } from '../config/constants.js';
+import { CostCalculator } from './costCalculator.js';
+import { Logger } from './logger.js';
+
+/**
+ * Answer Cache Utility Class
+ * Semantic cache of query results, shared by both solutions
+ *
+ * The incoming question is embedded and compared (cosine similarity) with
+ * cached questions of the same solution and search context. A cached result
+ * is reused when it is similar enough and not expired.
+ *
+ * Settings (read from environment at lookup time):
+ * - ANSWER_CACHE_ENABLED: false disables the cache (default: true)
+ * - ANSWER_CACHE_MIN_SIMILARITY: similarity needed for a hit (default: 0.95)
+ * - ANSWER_CACHE_TTL_HOURS: entry lifetime (default: 24)
+ * - ANSWER_CACHE_MAX_ENTRIES: per solution, oldest entries evicted first (default: 500)
+ *
+ * Entries are kept in memory and lost on restart
+ */
+export class AnswerCache {
+	constructor() {
+		this.entries = new Map(); // Solution name -> [{ question, context, embedding, result, cachedAt, expiresAt, hits }]
+		this.client = null;
+	}
+
+	/**
+	 * Read settings from environment
+	 * @returns {Object} { enabled, minSimilarity, ttlMs, maxEntries }
+	 */
+	getSettings() {
+		const parseNumber = (value, fallback) => {
+			const number = parseFloat(value);
+			return Number.isFinite(number) && number >= 0 ? number : fallback;
+		};
+
+		return {
+			enabled: process.env.ANSWER_CACHE_ENABLED !== 'false',
+			minSimilarity: parseNumber(process.env.ANSWER_CACHE_MIN_SIMILARITY, 0.95),
+			ttlMs: parseNumber(process.env.ANSWER_CACHE_TTL_HOURS, 24) * 3600 * 1000,
+			maxEntries: Math.floor(
+				parseNumber(process.env.ANSWER_CACHE_MAX_ENTRIES, 500)
+			),
+		};
+	}
+
+	/**
+	 * Default embedder: OpenAI text-embedding-3-small
+	 * @param {string} text - Text to embed
+	 * @returns {Promise<Object>} { embedding, tokens, estimated }
+	 */
+	async embed(text) {
+		if (!this.client) {
+			this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+		}
+
+		const response = await this.client.embeddings.create({
+			model: EMBEDDING_MODELS.SMALL,
+			input: text,
+		});
+
+		return {
+			embedding: response.data[0].embedding,
+			tokens: response.usage?.prompt_tokens || 0,
+			estimated: !response.usage,
+		};
+	}
+
+	/**
+	 * Cosine similarity of two vectors
+	 */
+	cosineSimilarity(a, b) {
+		let dot = 0;
+		let normA = 0;
+		let normB = 0;
+		for (let i = 0; i < a.length; i++) {
+			dot += a[i] * b[i];
+			normA += a[i] * a[i];
+			normB += b[i] * b[i];
+		}
+		return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+	}
+
+	/**
+	 * Find a cached result for a question
+	 * @param {string} solution - Solution name (e.g. 'solution1')
+	 * @param {string} question - Incoming question
+	 * @param {Object} options - Lookup options
+	 * @param {string} options.context - Search settings the result depends on (must match exactly)
+	 * @param {Function} options.embed - Embedder (text) => { embedding, tokens, estimated } (default: OpenAI)
+	 * @returns {Promise<Object|null>} Lookup { hit, embedding, context, embeddingCost } (null = cache disabled)
+	 *   hit: { question, similarity, cachedAt, result } or null
+	 *   embeddingCost: { tokens, estimated, cost, model } of embedding the question
+	 */
+	async lookup(solution, question, options = {}) {
+		const { context = '', embed = (text) => this.embed(text) } = options;
+		const settings = this.getSettings();
+
+		if (!settings.enabled) {
+			return null;
+		}
+
+		// A failed lookup must not fail the query - answer without the cache
+		let embedded;
+		try {
+			embedded = await embed(question);
+		} catch (error) {
+			Logger.warn(`Answer cache lookup failed (${solution}): ${error.message}`);
+			return null;
+		}
+		const { embedding, tokens, estimated } = embedded;
+		const embeddingCost = {
+			tokens,
+			estimated,
+			cost: CostCalculator.format(
+				CostCalculator.embeddingCost(EMBEDDING_MODELS.SMALL, tokens)
+			),
+			model: EMBEDDING_MODELS.SMALL,
+		};
+
+		// Drop expired entries, then pick the most similar one
+		const now = Date.now();
+		const entries = (this.entries.get(solution) || []).filter(
+			(entry) => entry.expiresAt > now
+		);
+		this.entries.set(solution, entries);
+
+		let best = null;
+		let bestSimilarity = -1;
+		entries.forEach((entry) => {
+			if (entry.context !== context) {
+				return;
+			}
+			const similarity = this.cosineSimilarity(embedding, entry.embedding);
+			if (similarity > bestSimilarity) {
+				best = entry;
+				bestSimilarity = similarity;
+			}
+		});
+
+		if (!best || bestSimilarity < settings.minSimilarity) {
+			return { hit: null, embedding, context, embeddingCost };
+		}
+
+		best.hits++;
+		Logger.info(
+			`Answer cache hit (${solution}, similarity ${bestSimilarity.toFixed(
+				3
+			)}): "${best.question}"`
+		);
+
+		return {
+			hit: {
+				question: best.question,
+				similarity: bestSimilarity,
+				cachedAt: new Date(best.cachedAt).toISOString(),
+				result: best.result,
+			},
+			embedding,
+			context,
+			embeddingCost,
+		};
+	}
+
+	/**
+	 * Store a result after a cache miss
+	 * @param {string} solution - Solution name
+	 * @param {string} question - Question the result answers
+	 * @param {Object} lookup - Result of lookup() (reuses its embedding and context)
+	 * @param {Object} result - Query result to reuse
+	 */
+	store(solution, question, lookup, result) {
+		if (!lookup) {
+			return;
+		}
+
+		const settings = this.getSettings();
+		const entries = this.entries.get(solution) || [];
+		const now = Date.now();
+
+		entries.push({
+			question,
+			context: lookup.context,
+			embedding: lookup.embedding,
+			result,
+			cachedAt: now,
+			expiresAt: now + settings.ttlMs,
+			hits: 0,
+		});
+
+		// Evict oldest entries first
+		while (entries.length > settings.maxEntries) {
+			entries.shift();
+		}
+		this.entries.set(solution, entries);
+	}
+
+	/**
+	 * Remove cached results (e.g. after documents were re-ingested)
+	 * @param {string|null} solution - Solution name (null = all solutions)
+	 * @returns {number} Number of removed entries
+	 */
+	invalidate(solution = null) {
+		const solutions = solution ? [solution] : Array.from(this.entries.keys());
+		let removed = 0;
+
+		solutions.forEach((name) => {
+			removed += (this.entries.get(name) || []).length;
+			this.entries.delete(name);
+		});
+
+		Logger.info(
+			`Answer cache invalidated (${
+				solution || 'all solutions'
+			}): ${removed} entries`
+		);
+		return removed;
+	}
+}
+
+// Shared by both solutions (entries are kept per solution)
+export const answerCache = new AnswerCache();
@@ -0,0 +1,232 @@
+import { Logger } from './logger.js';
+import { SpendLedger } from './spendLedger.js';
+
+// Reserved per query before the first query of a solution has been recorded
+const DEFAULT_QUERY_ESTIMATE_USD = 0.01;
+
+/**
+ * Budget Manager Utility Class
+ * Spending caps checked before each paid query
+ *
+ * Limits (USD, read from environment at check time - unset = unlimited):
+ * - BUDGET_PER_THREAD_USD: per conversation thread (per solution)
+ * - BUDGET_PER_CLIENT_DAILY_USD: per client IP, all threads and solutions, since local midnight
+ * - BUDGET_DAILY_USD: all solutions, since local midnight
+ * - BUDGET_GLOBAL_USD: all solutions, all recorded spend
+ * BUDGET_ON_EXCEEDED=reject|degrade - reject with 429 (default) or run a cheaper mode
+ *
+ * Spend is read from an append-only ledger (SpendLedger) that history deletion never touches:
+ * - BUDGET_LEDGER=file|memory (default: file, memory when NODE_ENV=test)
+ * - BUDGET_LEDGER_FILE: ledger path (default: data/spend-ledger.jsonl)
+ *
+ * A query reserves its estimated cost before it starts (reserve) and records its
+ * real cost when it ends (settle), or frees the reservation when it fails (release),
+ * so parallel queries cannot all pass the same check.
+ * Estimate: BUDGET_QUERY_ESTIMATE_USD, default the solution's average query cost ($0.01 before the first)
+ */
+export class BudgetManager {
+	constructor() {
+		this.ledger = null; // Created on first use (environment loaded by then)
+		this.reservations = new Map(); // Reservation ID -> { solution, threadId, clientId, amount }
+		this.nextReservationId = 1;
+	}
+
+	/**
+	 * Get (or create) the spend ledger
+	 * @returns {SpendLedger} Ledger
+	 */
+	getLedger() {
+		if (!this.ledger) {
+			const type =
+				process.env.BUDGET_LEDGER ||
+				(process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+			if (type !== 'file' && type !== 'memory') {
+				throw new Error(
+					`Unknown BUDGET_LEDGER "${type}" (expected "file" or "memory")`
+				);
+			}
+			this.ledger = new SpendLedger(
+				type === 'file'
+					? process.env.BUDGET_LEDGER_FILE || 'data/spend-ledger.jsonl'
+					: null
+			);
+		}
+		return this.ledger;
+	}
+
+	/**
+	 * Read limits from environment
+	 * @returns {Object} { thread, client, daily, global } in USD (null = unlimited)
+	 */
+	getLimits() {
+		const parseLimit = (value) => {
+			const limit = parseFloat(value);
+			return Number.isFinite(limit) && limit >= 0 ? limit : null;
+		};
+
+		return {
+			thread: parseLimit(process.env.BUDGET_PER_THREAD_USD),
+			client: parseLimit(process.env.BUDGET_PER_CLIENT_DAILY_USD),
+			daily: parseLimit(process.env.BUDGET_DAILY_USD),
+			global: parseLimit(process.env.BUDGET_GLOBAL_USD),
+		};
+	}
+
+	/**
+	 * Action when a budget is reached
+	 * @returns {string} 'reject' | 'degrade'
+	 */
+	getExceededAction() {
+		return process.env.BUDGET_ON_EXCEEDED === 'degrade' ? 'degrade' : 'reject';
+	}
+
+	/**
+	 * Expected cost of the next query of a solution
+	 * @param {string} solution - Solution name
+	 * @returns {number} USD
+	 */
+	getQueryEstimate(solution) {
+		const estimate = parseFloat(process.env.BUDGET_QUERY_ESTIMATE_USD);
+		if (Number.isFinite(estimate) && estimate >= 0) {
+			return estimate;
+		}
+		return (
+			this.getLedger().getAverageCost(solution) ?? DEFAULT_QUERY_ESTIMATE_USD
+		);
+	}
+
+	/**
+	 * Amount reserved by running queries, per scope
+	 * @param {Object} scope - { solution, threadId, clientId }
+	 * @returns {Object} { thread, client, daily, global } in USD
+	 */
+	getReserved({ solution, threadId, clientId }) {
+		const reserved = { thread: 0, client: 0, daily: 0, global: 0 };
+		this.reservations.forEach((reservation) => {
+			reserved.daily += reservation.amount;
+			reserved.global += reservation.amount;
+			if (
+				threadId &&
+				reservation.solution === solution &&
+				reservation.threadId === threadId
+			) {
+				reserved.thread += reservation.amount;
+			}
+			if (clientId && reservation.clientId === clientId) {
+				reserved.client += reservation.amount;
+			}
+		});
+		return reserved;
+	}
+
+	/**
+	 * Check budgets: would one more query stay within every limit?
+	 * @param {string} solution - Solution name (e.g. 'solution1')
+	 * @param {Object} scope - { threadId, clientId (client IP) }
+	 * @returns {Object} Budget status
+	 *   { limits, spent, reserved, remaining, estimate, exceeded, action, message }
+	 *   action: 'allow' | 'degrade' | 'reject'
+	 */
+	check(solution, { threadId = null, clientId = null } = {}) {
+		const limits = this.getLimits();
+		const scope = { solution, threadId, clientId };
+		const spent = this.getLedger().getSpend(scope);
+		const reserved = this.getReserved(scope);
+		const estimate = this.getQueryEstimate(solution);
+
+		const remaining = {};
+		const exceeded = [];
+		Object.entries(limits).forEach(([name, limit]) => {
+			if (limit === null) {
+				remaining[name] = null;
+				return;
+			}
+			const committed = spent[name] + reserved[name];
+			remaining[name] = Math.max(limit - committed, 0);
+			if (committed >= limit || committed + estimate > limit) {
+				exceeded.push(name);
+			}
+		});
+
+		const action = exceeded.length > 0 ? this.getExceededAction() : 'allow';
+		const message =
+			exceeded.length > 0
+				? `Budget reached: ${exceeded
+						.map((name) => `${name} limit $${limits[name].toFixed(2)}`)
+						.join(', ')}`
+				: null;
+
+		return {
+			limits,
+			spent,
+			reserved,
+			remaining,
+			estimate,
+			exceeded,
+			action,
+			message,
+		};
+	}
+
+	/**
+	 * Check budgets and reserve the estimated cost of a query
+	 * Nothing is reserved when the query is rejected
+	 * @param {string} solution - Solution name
+	 * @param {Object} scope - { threadId, clientId }
+	 * @returns {Object} Budget status (see check) with reservation (null when rejected)
+	 */
+	reserve(solution, { threadId = null, clientId = null } = {}) {
+		const budget = this.check(solution, { threadId, clientId });
+
+		if (budget.message) {
+			Logger.warn(
+				`${budget.message} (${solution}, thread ${threadId}, client ${clientId}) - ${budget.action}`
+			);
+		}
+		if (budget.action === 'reject') {
+			return { ...budget, reservation: null };
+		}
+
+		const reservation = {
+			id: this.nextReservationId++,
+			solution,
+			threadId,
+			clientId,
+			amount: budget.estimate,
+		};
+		this.reservations.set(reservation.id, reservation);
+		return { ...budget, reservation };
+	}
+
+	/**
+	 * Record the real cost of a finished query and free its reservation
+	 * @param {Object} reservation - Reservation returned by reserve()
+	 * @param {number} cost - Query cost in USD
+	 */
+	settle(reservation, cost) {
+		// Unknown or already settled / released
+		if (!reservation || !this.reservations.has(reservation.id)) {
+			return;
+		}
+		this.reservations.delete(reservation.id);
+		this.getLedger().record({
+			solution: reservation.solution,
+			threadId: reservation.threadId,
+			clientId: reservation.clientId,
+			cost,
+		});
+	}
+
+	/**
+	 * Free the reservation of a query that failed or was not run
+	 * @param {Object} reservation - Reservation returned by reserve()
+	 */
+	release(reservation) {
+		if (reservation) {
+			this.reservations.delete(reservation.id);
+		}
+	}
+}
+
+// Shared by both solutions so daily and global limits cover all spend
+export const budgetManager = new BudgetManager();
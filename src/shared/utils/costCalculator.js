@@ -0,0 +1,112 @@
+import { MODEL_COSTS, TOOL_COSTS } from '../config/constants.js';
+import { Logger } from './logger.js';
+
+/**
+ * Cost Calculator Utility Class
+ * Computes USD costs from the pricing tables in constants.js (MODEL_COSTS, TOOL_COSTS)
+ */
+export class CostCalculator {
+	// Pricing of models added at runtime (e.g. self-hosted LLM providers)
+	// Key: provider:model (or model when registered for any provider)
+	static customPricing = new Map();
+
+	/**
+	 * Add pricing for a model that is not in MODEL_COSTS, or a provider's own price
+	 * Keyed by provider, so two providers serving the same model keep their own prices
+	 * @param {string} model - Model name
+	 * @param {Object} pricing - Same shape as a MODEL_COSTS entry
+	 * @param {string|null} provider - Provider name (null = any provider)
+	 */
+	static registerModelPricing(model, pricing, provider = null) {
+		this.customPricing.set(provider ? `${provider}:${model}` : model, pricing);
+	}
+
+	/**
+	 * Get pricing of a model
+	 * A provider's own pricing comes first, then MODEL_COSTS
+	 * Versioned names (e.g. gpt-4o-mini-2024-07-18) match their base model
+	 * @param {string} model - Model name
+	 * @param {string|null} provider - Provider name serving the model
+	 * @returns {Object|null} Pricing entry or null if unknown
+	 */
+	static getModelPricing(model, provider = null) {
+		if (!model) return null;
+		if (provider && this.customPricing.has(`${provider}:${model}`)) {
+			return this.customPricing.get(`${provider}:${model}`);
+		}
+		if (MODEL_COSTS[model]) return MODEL_COSTS[model];
+		if (this.customPricing.has(model)) return this.customPricing.get(model);
+
+		// Longest matching prefix wins (gpt-4o-mini before gpt-4o)
+		const baseModel = Object.keys(MODEL_COSTS)
+			.filter((name) => model.startsWith(name))
+			.sort((a, b) => b.length - a.length)[0];
+
+		return baseModel ? MODEL_COSTS[baseModel] : null;
+	}
+
+	/**
+	 * Calculate chat model cost
+	 * @param {string} model - Model name
+	 * @param {number} inputTokens - Input tokens
+	 * @param {number} outputTokens - Output tokens
+	 * @param {string|null} provider - Provider name serving the model
+	 * @returns {number} Cost in USD (0 for unknown models)
+	 */
+	static chatCost(model, inputTokens = 0, outputTokens = 0, provider = null) {
+		const pricing = this.getModelPricing(model, provider);
+		if (!pricing) {
+			Logger.warn(`No pricing for model "${model}" - cost counted as $0`);
+			return 0;
+		}
+
+		return (
+			(inputTokens * pricing.inputPerMillion +
+				outputTokens * pricing.outputPerMillion) /
+			1000000
+		);
+	}
+
+	/**
+	 * Calculate embedding model cost
+	 * @param {string} model - Embedding model name
+	 * @param {number} tokens - Embedded tokens
+	 * @returns {number} Cost in USD
+	 */
+	static embeddingCost(model, tokens = 0) {
+		return this.chatCost(model, tokens, 0);
+	}
+
+	/**
+	 * Calculate tool call cost
+	 * @param {string} tool - Tool name (key of TOOL_COSTS)
+	 * @param {number} calls - Number of calls
+	 * @returns {number} Cost in USD (0 for unknown tools)
+	 */
+	static toolCost(tool, calls = 1) {
+		const pricing = TOOL_COSTS[tool];
+		if (!pricing) {
+			Logger.warn(`No pricing for tool "${tool}" - cost counted as $0`);
+			return 0;
+		}
+		return calls * pricing.perCall;
+	}
+
+	/**
+	 * Format cost for display (e.g. "$0.000123")
+	 * @param {number} cost - Cost in USD
+	 * @returns {string} Formatted cost
+	 */
+	static format(cost) {
+		return `$${cost.toFixed(6)}`;
+	}
+
+	/**
+	 * Format model price for logs (e.g. "$0.15 / 1M tokens")
+	 * @param {number} perMillion - Price per 1M tokens
+	 * @returns {string} Formatted price
+	 */
+	static formatPrice(perMillion) {
+		return `$${perMillion.toFixed(2)} / 1M tokens`;
+	}
+}
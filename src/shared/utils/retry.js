@@ -0,0 +1,205 @@
+import { Logger } from './logger.js';
+
+// Network errors worth retrying (connection dropped or timed out)
+const TRANSIENT_ERROR_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ETIMEDOUT',
+	'EAI_AGAIN',
+	'EPIPE',
+	'UND_ERR_SOCKET',
+	'UND_ERR_CONNECT_TIMEOUT',
+];
+
+/**
+ * Retry Utility Class
+ * Retries transient failures (429, 5xx, network errors) of OpenAI, Tavily and
+ * Supabase calls with exponential backoff
+ *
+ * - Only transient errors are retried; whether and how long to wait is decided by
+ *   the caller's ErrorHandler (decide), falling back to exponential backoff
+ * - A Retry-After header from the provider replaces the computed delay
+ * - Jitter (50-100% of the delay) keeps parallel requests from retrying in lockstep
+ * - Quota exhausted (insufficient_quota) is never retried
+ *
+ * Settings (read from environment at call time):
+ * - RETRY_MAX_RETRIES: retries per call (default: 3, 0 disables retrying)
+ * - RETRY_MAX_WAIT_SECONDS: total wait per call, no retry once it would be exceeded (default: 30)
+ */
+export class Retry {
+	/**
+	 * Read settings from environment
+	 * @returns {Object} { maxRetries, maxWaitMs }
+	 */
+	static getSettings() {
+		const parseNumber = (value, fallback) => {
+			const number = parseFloat(value);
+			return Number.isFinite(number) && number >= 0 ? number : fallback;
+		};
+
+		return {
+			maxRetries: Math.floor(parseNumber(process.env.RETRY_MAX_RETRIES, 3)),
+			maxWaitMs: parseNumber(process.env.RETRY_MAX_WAIT_SECONDS, 30) * 1000,
+		};
+	}
+
+	/**
+	 * HTTP status of an error
+	 * SDK errors carry status; Tavily and LangChain's SupabaseVectorStore
+	 * ("Error searching for documents: <code> <message> <details>") only put it in the message
+	 * @param {Error} error - Error object
+	 * @returns {number|null} Status code
+	 */
+	static getStatus(error) {
+		const status = error?.status ?? error?.response?.status;
+		if (status) {
+			return Number(status);
+		}
+		const match = error?.message?.match(
+			/status code (\d{3})|Error searching for documents: (\d{3})\b/
+		);
+		return match ? Number(match[1] || match[2]) : null;
+	}
+
+	/**
+	 * Check whether an error is transient (worth retrying)
+	 * @param {Error} error - Error object
+	 * @returns {boolean} True for rate limits, server errors and network errors
+	 */
+	static isTransient(error) {
+		// Retrying cannot refill an exhausted quota
+		if (
+			error?.code === 'insufficient_quota' ||
+			error?.error?.code === 'insufficient_quota'
+		) {
+			return false;
+		}
+
+		const status = this.getStatus(error);
+		if (status) {
+			return status === 408 || status === 429 || status >= 500;
+		}
+
+		const code = error?.code || error?.cause?.code;
+		return (
+			TRANSIENT_ERROR_CODES.includes(code) ||
+			error?.name === 'APIConnectionError' ||
+			error?.name === 'APIConnectionTimeoutError' ||
+			/fetch failed|socket hang up|network/i.test(error?.message || '')
+		);
+	}
+
+	/**
+	 * Delay requested by the provider (Retry-After / retry-after-ms header)
+	 * @param {Error} error - Error object
+	 * @returns {number|null} Delay in milliseconds
+	 */
+	static getRetryAfter(error) {
+		const headers = error?.headers || error?.response?.headers;
+		if (!headers) {
+			return null;
+		}
+		const getHeader = (name) =>
+			typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+		const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+		if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+			return retryAfterMs;
+		}
+
+		const retryAfter = getHeader('retry-after');
+		if (!retryAfter) {
+			return null;
+		}
+		// Seconds, or an HTTP date
+		const seconds = parseFloat(retryAfter);
+		if (Number.isFinite(seconds) && seconds >= 0) {
+			return seconds * 1000;
+		}
+		const date = Date.parse(retryAfter);
+		return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+	}
+
+	/**
+	 * Default delay: exponential backoff (1s, 2s, 4s, ...)
+	 * @param {number} retryCount - Retries made so far
+	 * @returns {number} Delay in milliseconds
+	 */
+	static calculateBackoff(retryCount) {
+		return 1000 * Math.pow(2, retryCount);
+	}
+
+	/**
+	 * Run a call, retrying transient failures
+	 * @param {Function} fn - async (retryCount) => result
+	 * @param {Object} options - Retry options
+	 * @param {string} options.label - Call name for logs (e.g. 'Web search')
+	 * @param {Function} options.decide - (error, retryCount) => { retry, delay } (e.g. ErrorHandler.handleAPIError)
+	 * @param {Function} options.canRetry - (error) => boolean, extra condition (e.g. nothing streamed yet)
+	 * @returns {Promise<Object>} { result, retries }
+	 * @throws Last error (with retries set) when it is not transient or retries / wait time are used up
+	 */
+	static async run(fn, options = {}) {
+		const {
+			label = 'API call',
+			decide = null,
+			canRetry = () => true,
+		} = options;
+		const { maxRetries, maxWaitMs } = this.getSettings();
+
+		let retries = 0;
+		let waitedMs = 0;
+
+		for (;;) {
+			try {
+				const result = await fn(retries);
+				if (retries > 0) {
+					Logger.info(`${label} succeeded after ${retries} retries`);
+				}
+				return { result, retries };
+			} catch (error) {
+				if (error && typeof error === 'object') {
+					error.retries = retries;
+				}
+
+				if (
+					retries >= maxRetries ||
+					!this.isTransient(error) ||
+					!canRetry(error)
+				) {
+					throw error;
+				}
+
+				const decision = decide ? decide(error, retries) : { retry: true };
+				if (!decision?.retry) {
+					throw error;
+				}
+
+				// Provider's Retry-After wins over the computed backoff
+				const retryAfter = this.getRetryAfter(error);
+				const baseDelay =
+					retryAfter ?? decision.delay ?? this.calculateBackoff(retries);
+				const delay =
+					retryAfter !== null
+						? baseDelay
+						: Math.round(baseDelay * (0.5 + Math.random() * 0.5));
+
+				if (waitedMs + delay > maxWaitMs) {
+					Logger.warn(
+						`${label} failed, not retrying (next wait ${delay}ms exceeds ${maxWaitMs}ms total)`
+					);
+					throw error;
+				}
+
+				retries++;
+				waitedMs += delay;
+				Logger.warn(
+					`${label} failed (${
+						this.getStatus(error) || error.code || error.message
+					}), retry ${retries}/${maxRetries} in ${delay}ms`
+				);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+	}
+}
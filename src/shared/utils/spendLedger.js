@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+
+/**
+ * Local calendar day of a timestamp (daily budgets reset at local midnight)
+ * @param {Date} date - Timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toDay(date) {
+	const pad = (number) => String(number).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+		date.getDate()
+	)}`;
+}
+
+/**
+ * Spend Ledger Utility Class
+ * Append-only record of what every query cost, used for budget checks
+ *
+ * Kept apart from conversation history: deleting history or cleaning up old
+ * threads never lowers the recorded spend. Totals (global, per day, per thread,
+ * per client per day, per solution) are kept in memory, so checks never re-read
+ * the ledger.
+ *
+ * With a file path, every record is appended to a JSON Lines file (written in
+ * the background) and read back on startup. Without one, records are kept in
+ * memory only.
+ */
+export class SpendLedger {
+	/**
+	 * @param {string|null} filePath - JSON Lines file (null = memory only)
+	 */
+	constructor(filePath = null) {
+		this.filePath = filePath ? path.resolve(filePath) : null;
+		this.totals = {
+			global: 0,
+			days: new Map(), // YYYY-MM-DD -> USD
+			threads: new Map(), // solution:threadId -> USD
+			clientDays: new Map(), // clientId:YYYY-MM-DD -> USD
+			solutions: new Map(), // solution -> { cost, queries }
+		};
+		this.pending = []; // Lines not written yet
+		this.writing = null; // Running append (Promise)
+		this.inFlight = null; // Batch of the running append: { start, data }
+
+		if (this.filePath) {
+			this.load();
+			process.on('exit', () => this.flushSync());
+		}
+	}
+
+	/**
+	 * Read the ledger file into the totals (missing file = no spend yet)
+	 */
+	load() {
+		if (!fs.existsSync(this.filePath)) {
+			return;
+		}
+
+		try {
+			const lines = fs
+				.readFileSync(this.filePath, 'utf8')
+				.split('\n')
+				.filter(Boolean);
+			lines.forEach((line) => {
+				try {
+					this.addToTotals(JSON.parse(line));
+				} catch {
+					Logger.warn(`Skipping unreadable spend ledger line: ${line}`);
+				}
+			});
+			Logger.info(
+				`Loaded ${lines.length} spend records ($${this.totals.global.toFixed(
+					6
+				)}) from ${this.filePath}`
+			);
+		} catch (error) {
+			Logger.error(`Failed to load spend ledger from ${this.filePath}`, error);
+		}
+	}
+
+	/**
+	 * Add one record to the in-memory totals
+	 * @param {Object} record - { at, solution, threadId, clientId, cost }
+	 */
+	addToTotals({ at, solution, threadId, clientId, cost }) {
+		const add = (map, key, amount) =>
+			map.set(key, (map.get(key) || 0) + amount);
+		const day = toDay(new Date(at));
+
+		this.totals.global += cost;
+		add(this.totals.days, day, cost);
+		if (threadId) {
+			add(this.totals.threads, `${solution}:${threadId}`, cost);
+		}
+		if (clientId) {
+			add(this.totals.clientDays, `${clientId}:${day}`, cost);
+		}
+
+		const solutionTotals = this.totals.solutions.get(solution) || {
+			cost: 0,
+			queries: 0,
+		};
+		solutionTotals.cost += cost;
+		solutionTotals.queries++;
+		this.totals.solutions.set(solution, solutionTotals);
+	}
+
+	/**
+	 * Record the cost of a query
+	 * @param {Object} entry - { solution, threadId, clientId, cost (USD) }
+	 */
+	record({ solution, threadId = null, clientId = null, cost = 0 }) {
+		const record = {
+			at: new Date().toISOString(),
+			solution,
+			threadId,
+			clientId,
+			cost: Number.isFinite(cost) && cost > 0 ? cost : 0,
+		};
+		this.addToTotals(record);
+
+		if (this.filePath) {
+			this.pending.push(JSON.stringify(record));
+			this.persist();
+		}
+	}
+
+	/**
+	 * Append pending records to the file (one append at a time, in order)
+	 * @returns {Promise<void>} Resolves when everything is written
+	 */
+	async persist() {
+		if (this.writing) {
+			return this.writing;
+		}
+
+		this.writing = (async () => {
+			while (this.pending.length > 0) {
+				const data = this.toBuffer(this.pending.splice(0));
+				try {
+					await fs.promises.mkdir(path.dirname(this.filePath), {
+						recursive: true,
+					});
+					this.inFlight = { start: this.getFileSize(), data };
+					await fs.promises.appendFile(this.filePath, data);
+				} catch (error) {
+					Logger.error(
+						`Failed to append to spend ledger ${this.filePath}`,
+						error
+					);
+				} finally {
+					this.inFlight = null;
+				}
+			}
+		})();
+
+		try {
+			await this.writing;
+		} finally {
+			this.writing = null;
+		}
+	}
+
+	/**
+	 * JSON Lines data of some records
+	 * @param {string[]} lines - Serialized records
+	 * @returns {Buffer} One line per record
+	 */
+	toBuffer(lines) {
+		return Buffer.from(lines.map((line) => `${line}\n`).join(''));
+	}
+
+	/**
+	 * Current size of the ledger file
+	 * @returns {number} Bytes (0 while the file does not exist)
+	 */
+	getFileSize() {
+		try {
+			return fs.statSync(this.filePath).size;
+		} catch {
+			return 0;
+		}
+	}
+
+	/**
+	 * Write records still waiting for the background append (process exit)
+	 *
+	 * The exit handler runs while an append may be half done. Only the bytes of
+	 * that batch not yet in the file are written, so no record is lost or
+	 * written twice.
+	 */
+	flushSync() {
+		const parts = [];
+		if (this.inFlight) {
+			const { start, data } = this.inFlight;
+			const written = Math.min(
+				Math.max(this.getFileSize() - start, 0),
+				data.length
+			);
+			parts.push(data.subarray(written));
+			this.inFlight = null;
+		}
+		parts.push(this.toBuffer(this.pending.splice(0)));
+
+		const data = Buffer.concat(parts);
+		if (data.length === 0) {
+			return;
+		}
+		try {
+			fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+			fs.appendFileSync(this.filePath, data);
+		} catch (error) {
+			Logger.error(`Failed to append to spend ledger ${this.filePath}`, error);
+		}
+	}
+
+	/**
+	 * Spend of every scope a budget check needs
+	 * @param {Object} scope - { solution, threadId, clientId }
+	 * @returns {Object} { thread, client, daily, global } in USD
+	 */
+	getSpend({ solution, threadId = null, clientId = null }) {
+		const today = toDay(new Date());
+		return {
+			thread: threadId
+				? this.totals.threads.get(`${solution}:${threadId}`) || 0
+				: 0,
+			client: clientId
+				? this.totals.clientDays.get(`${clientId}:${today}`) || 0
+				: 0,
+			daily: this.totals.days.get(today) || 0,
+			global: this.totals.global,
+		};
+	}
+
+	/**
+	 * Average cost of one query of a solution
+	 * @param {string} solution - Solution name
+	 * @returns {number|null} USD (null before the first query)
+	 */
+	getAverageCost(solution) {
+		const solutionTotals = this.totals.solutions.get(solution);
+		return solutionTotals?.queries > 0
+			? solutionTotals.cost / solutionTotals.queries
+			: null;
+	}
+}
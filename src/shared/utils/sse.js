@@ -0,0 +1,44 @@
+/**
+ * Server-Sent Events Utility Class
+ * Writes named SSE events to an Express response
+ */
+export class SSE {
+	/**
+	 * Prepare response for event streaming
+	 * @param {Object} res - Express response
+	 */
+	static init(res) {
+		res.status(200);
+		res.set({
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive',
+			'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+		});
+		res.flushHeaders();
+	}
+
+	/**
+	 * Send a named event
+	 * @param {Object} res - Express response
+	 * @param {string} event - Event name
+	 * @param {Object} data - Event payload (JSON serialized)
+	 */
+	static send(res, event, data) {
+		if (res.writableEnded || res.destroyed) {
+			return;
+		}
+		res.write(`event: ${event}\n`);
+		res.write(`data: ${JSON.stringify(data)}\n\n`);
+	}
+
+	/**
+	 * Close the event stream
+	 * @param {Object} res - Express response
+	 */
+	static end(res) {
+		if (!res.writableEnded) {
+			res.end();
+		}
+	}
+}
@@ -1,4 +1,9 @@
-import { UPLOAD_CONFIG } from '../config/constants.js';
+import crypto from 'crypto';
+import {
+	UPLOAD_CONFIG,
+	SEARCH_MODES,
+	SEARCH_FILTER_FIELDS,
+} from '../config/constants.js';
 
 /**
  * 验证器类 - 用于验证各种输入
@@ -110,6 +115,139 @@ export class Validators {
 		return { valid: true, error: null };
 	}
 
+	/**
+	 * 验证 OpenAI File ID
+	 * @param {string} fileId - File ID
+	 * @returns {Object} { valid: boolean, error: string|null }
+	 */
+	static validateFileId(fileId) {
+		if (!fileId || typeof fileId !== 'string') {
+			return { valid: false, error: 'File ID must be a non-empty string' };
+		}
+
+		// OpenAI File IDs 以 "file-" 开头
+		if (!/^file-[a-zA-Z0-9]+$/.test(fileId)) {
+			return {
+				valid: false,
+				error: 'Invalid File ID format (should start with "file-")',
+			};
+		}
+
+		return { valid: true, error: null };
+	}
+
+	/**
+	 * 验证检索模式 (可省略)
+	 * @param {string} mode - 检索模式
+	 * @returns {Object} { valid: boolean, error: string|null }
+	 */
+	static validateSearchMode(mode) {
+		if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+			return {
+				valid: false,
+				error: `Invalid search mode (expected ${SEARCH_MODES.join(' or ')})`,
+			};
+		}
+
+		return { valid: true, error: null };
+	}
+
+	/**
+	 * 验证检索元数据过滤条件 (可省略)
+	 * @param {Object} filters - 如 { source: 'FK.pdf', category: 'barnbidrag', year: 2024 }
+	 * @returns {Object} { valid: boolean, error: string|null }
+	 */
+	static validateSearchFilters(filters) {
+		if (filters === undefined) {
+			return { valid: true, error: null };
+		}
+
+		if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+			return { valid: false, error: 'Filters must be an object' };
+		}
+
+		for (const [field, value] of Object.entries(filters)) {
+			const type = SEARCH_FILTER_FIELDS[field];
+			if (!type) {
+				return {
+					valid: false,
+					error: `Unknown filter "${field}" (allowed: ${Object.keys(
+						SEARCH_FILTER_FIELDS
+					).join(', ')})`,
+				};
+			}
+
+			if (type === 'string' && (typeof value !== 'string' || !value.trim())) {
+				return {
+					valid: false,
+					error: `Filter "${field}" must be a non-empty string`,
+				};
+			}
+
+			if (type === 'number' && !Number.isInteger(value)) {
+				return { valid: false, error: `Filter "${field}" must be an integer` };
+			}
+		}
+
+		return { valid: true, error: null };
+	}
+
+	/**
+	 * 验证时间窗口 (ISO 8601 日期字符串, 均可省略)
+	 * @param {string} since - 开始时间 (包含)
+	 * @param {string} until - 结束时间 (不包含)
+	 * @returns {Object} { valid: boolean, error: string|null }
+	 */
+	static validateTimeWindow(since, until) {
+		for (const [name, value] of Object.entries({ since, until })) {
+			if (value !== undefined && isNaN(Date.parse(value))) {
+				return {
+					valid: false,
+					error: `Invalid "${name}" date (use ISO 8601, e.g. 2024-01-31T00:00:00Z)`,
+				};
+			}
+		}
+
+		if (since && until && Date.parse(since) >= Date.parse(until)) {
+			return { valid: false, error: '"since" must be before "until"' };
+		}
+
+		return { valid: true, error: null };
+	}
+
+	/**
+	 * 验证管理员令牌 (ADMIN_TOKEN 环境变量)
+	 * @param {string} token - 请求中的令牌 (X-Admin-Token 请求头)
+	 * @returns {Object} { valid: boolean, error: string|null }
+	 */
+	static validateAdminToken(token) {
+		const adminToken = process.env.ADMIN_TOKEN;
+
+		// 未配置令牌时禁用管理操作
+		if (!adminToken) {
+			return {
+				valid: false,
+				error: 'Admin operations are disabled (ADMIN_TOKEN not configured)',
+			};
+		}
+
+		if (!token || typeof token !== 'string') {
+			return { valid: false, error: 'Admin token required (X-Admin-Token)' };
+		}
+
+		// 使用常量时间比较，防止时序攻击
+		const expected = Buffer.from(adminToken);
+		const actual = Buffer.from(token);
+		if (
+			expected.length !== actual.length ||
+			!crypto.timingSafeEqual(expected, actual)
+		) {
+			return { valid: false, error: 'Invalid admin token' };
+		}
+
+		return { valid: true, error: null };
+	}
+
 	/**
 	 * 清理和规范化查询字符串
 	 * @param {string} query - 原始查询
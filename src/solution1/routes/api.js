@@ -1,10 +1,15 @@
 import express from 'express';
+import multer from 'multer';
 import { FileService } from '../services/fileService.js';
 import { ResponseService } from '../services/responseService.js';
 import { MemoryService } from '../services/memoryService.js';
 import { Validators } from '../../shared/utils/validators.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
 import { Logger } from '../../shared/utils/logger.js';
+import { UPLOAD_CONFIG } from '../../shared/config/constants.js';
+import { SSE } from '../../shared/utils/sse.js';
+import { budgetManager } from '../../shared/utils/budgetManager.js';
+import { answerCache } from '../../shared/utils/answerCache.js';
 
 const router = express.Router();
 
@@ -13,6 +18,12 @@ const fileService = new FileService();
 const responseService = new ResponseService();
 const memoryService = new MemoryService();
 
+// Keep uploads in memory - they are forwarded to OpenAI, never stored locally
+const upload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: UPLOAD_CONFIG.MAX_FILE_SIZE },
+});
+
 /**
  * GET /api/solution1/config
  * Get configuration information (including Vector Store ID)
@@ -36,11 +47,83 @@ router.get('/config', async (req, res) => {
 	}
 });
 
+/**
+ * POST /api/solution1/upload
+ * Upload a PDF (multipart field "file") and add it to the configured Vector Store
+ * (admin only: X-Admin-Token header - the Vector Store is shared by all users)
+ * Responds 200 when processing completed, 202 if still in progress, 422 if it failed
+ */
+router.post('/upload', (req, res) => {
+	// Checked before the upload is read
+	const tokenValidation = Validators.validateAdminToken(
+		req.get('X-Admin-Token')
+	);
+	if (!tokenValidation.valid) {
+		return res.status(403).json({
+			success: false,
+			error: tokenValidation.error,
+		});
+	}
+
+	upload.single('file')(req, res, async (uploadError) => {
+		try {
+			if (uploadError) {
+				const errorResponse = ErrorHandler.handle(uploadError, {
+					operation: 'upload',
+				});
+				return res.status(400).json(errorResponse);
+			}
+
+			// Validate file (size and type)
+			const validation = Validators.validateFile(req.file);
+			if (!validation.valid) {
+				return res.status(400).json({
+					success: false,
+					error: validation.error,
+				});
+			}
+
+			const vectorStoreId = fileService.getVectorStoreId();
+
+			Logger.info(
+				`Processing upload request - File: ${req.file.originalname} (${req.file.size} bytes)`
+			);
+
+			const result = await fileService.uploadToVectorStore(
+				req.file,
+				vectorStoreId
+			);
+
+			// Cached answers may be outdated by the new document
+			answerCache.invalidate('solution1');
+
+			const statusCode =
+				result.status === 'completed'
+					? 200
+					: result.status === 'in_progress'
+					? 202
+					: 422;
+
+			res.status(statusCode).json(result);
+		} catch (error) {
+			Logger.error('Upload failed:', error);
+			const errorResponse = ErrorHandler.handle(error, {
+				operation: 'upload',
+				fileName: req.file?.originalname,
+			});
+			res.status(500).json(errorResponse);
+		}
+	});
+});
+
 /**
  * POST /api/solution1/query
  * Query - File search and web search
+ * Over budget: 429, or file search only when BUDGET_ON_EXCEEDED=degrade
  */
 router.post('/query', async (req, res) => {
+	let reservation = null;
+
 	try {
 		const { query, threadId } = req.body;
 
@@ -70,6 +153,21 @@ router.post('/query', async (req, res) => {
 		const sanitizedQuery = Validators.sanitizeQuery(query);
 		const finalThreadId = threadId || 'default';
 
+		// Check budgets and reserve the query's estimated cost
+		// (reject, or skip web search when degrading)
+		let budget;
+		({ reservation, ...budget } = budgetManager.reserve('solution1', {
+			threadId: finalThreadId,
+			clientId: req.ip,
+		}));
+		if (budget.action === 'reject') {
+			return res.status(429).json({
+				success: false,
+				error: budget.message,
+				budget,
+			});
+		}
+
 		Logger.info(`Processing query request - Thread: ${finalThreadId}`);
 
 		// Get previous response ID (for conversation context)
@@ -80,7 +178,8 @@ router.post('/query', async (req, res) => {
 		const result = await responseService.query(
 			sanitizedQuery,
 			vectorStoreId,
-			previousResponseId
+			previousResponseId,
+			{ webSearch: budget.action !== 'degrade' }
 		);
 
 		// Save to memory
@@ -90,11 +189,21 @@ router.post('/query', async (req, res) => {
 			sanitizedQuery,
 			result.fileAnswer,
 			result.webAnswer,
-			result.usage
+			result.usage,
+			result.fileCitations
 		);
 
-		res.json(result);
+		budgetManager.settle(reservation, result.usage.estimated_cost);
+
+		res.json({
+			...result,
+			budget: budgetManager.check('solution1', {
+				threadId: finalThreadId,
+				clientId: req.ip,
+			}),
+		});
 	} catch (error) {
+		budgetManager.release(reservation);
 		Logger.error('Query failed:', error);
 		const errorResponse = ErrorHandler.handle(error, {
 			operation: 'query',
@@ -104,6 +213,156 @@ router.post('/query', async (req, res) => {
 	}
 });
 
+/**
+ * POST /api/solution1/query/stream
+ * Streaming query - Server-Sent Events
+ * Over budget: 429 before streaming, or file search only when BUDGET_ON_EXCEEDED=degrade
+ *
+ * Events:
+ * - file: { delta } - File search answer text delta
+ * - web: { delta } - Web search answer text delta
+ * - done: { model, usage, fileCitations, webSearchSkipped, cached, cache, retries, fileResponseId, webResponseId, budget, timestamp } - Final usage/cost
+ * - error: { error } - Query failed
+ *
+ * A client disconnect aborts the upstream streams; nothing is saved for that query
+ */
+router.post('/query/stream', async (req, res) => {
+	const { query, threadId } = req.body;
+
+	// Validate input (before switching to event stream)
+	const queryValidation = Validators.validateQuery(query);
+	if (!queryValidation.valid) {
+		return res.status(400).json({
+			success: false,
+			error: queryValidation.error,
+		});
+	}
+
+	const finalThreadId = threadId || 'default';
+	const threadIdValidation = Validators.validateThreadId(finalThreadId);
+	if (!threadIdValidation.valid) {
+		return res.status(400).json({
+			success: false,
+			error: threadIdValidation.error,
+		});
+	}
+
+	let vectorStoreId;
+	try {
+		vectorStoreId = fileService.getVectorStoreId();
+	} catch (error) {
+		Logger.error('Streaming query failed:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'queryStream',
+			query,
+		});
+		return res.status(500).json(errorResponse);
+	}
+
+	const sanitizedQuery = Validators.sanitizeQuery(query);
+
+	// Check budgets and reserve the query's estimated cost
+	// (reject before streaming, or skip web search when degrading)
+	let budget;
+	let reservation;
+	try {
+		({ reservation, ...budget } = budgetManager.reserve('solution1', {
+			threadId: finalThreadId,
+			clientId: req.ip,
+		}));
+	} catch (error) {
+		Logger.error('Budget check failed:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'budgetCheck',
+			threadId: finalThreadId,
+		});
+		return res.status(500).json(errorResponse);
+	}
+	if (budget.action === 'reject') {
+		return res.status(429).json({
+			success: false,
+			error: budget.message,
+			budget,
+		});
+	}
+
+	Logger.info(`Processing streaming query request - Thread: ${finalThreadId}`);
+
+	SSE.init(res);
+
+	// Stop the upstream OpenAI streams (and their billing) when the client goes away
+	const abortController = new AbortController();
+	res.on('close', () => {
+		if (!res.writableEnded) {
+			abortController.abort();
+		}
+	});
+
+	try {
+		const previousResponseId =
+			memoryService.getPreviousResponseId(finalThreadId);
+
+		const result = await responseService.queryStream(
+			sanitizedQuery,
+			vectorStoreId,
+			previousResponseId,
+			(channel, delta) => SSE.send(res, channel, { delta }),
+			{
+				webSearch: budget.action !== 'degrade',
+				signal: abortController.signal,
+			}
+		);
+
+		// Save to memory
+		memoryService.saveResponse(
+			finalThreadId,
+			result.fileResponseId,
+			sanitizedQuery,
+			result.fileAnswer,
+			result.webAnswer,
+			result.usage,
+			result.fileCitations
+		);
+
+		budgetManager.settle(reservation, result.usage.estimated_cost);
+
+		SSE.send(res, 'done', {
+			success: true,
+			model: result.model,
+			usage: result.usage,
+			fileCitations: result.fileCitations,
+			webSearchSkipped: result.webSearchSkipped,
+			cached: result.cached,
+			cache: result.cache,
+			retries: result.retries, // Retried transient failures per search
+			fileResponseId: result.fileResponseId,
+			webResponseId: result.webResponseId,
+			budget: budgetManager.check('solution1', {
+				threadId: finalThreadId,
+				clientId: req.ip,
+			}),
+			timestamp: result.timestamp,
+		});
+	} catch (error) {
+		if (abortController.signal.aborted) {
+			// Tokens streamed before the abort are billed - count the estimate
+			budgetManager.settle(reservation, reservation?.amount);
+			Logger.info(
+				`Client disconnected, stream aborted - Thread: ${finalThreadId}`
+			);
+			return;
+		}
+		budgetManager.release(reservation);
+		// Service errors are already standardized by ErrorHandler.handle
+		SSE.send(res, 'error', {
+			success: false,
+			error: error.error?.message || error.message || 'Query failed',
+		});
+	} finally {
+		SSE.end(res);
+	}
+});
+
 /**
  * GET /api/solution1/history/:threadId
  * Get conversation history
@@ -178,6 +437,38 @@ router.delete('/history/:threadId', (req, res) => {
 	}
 });
 
+/**
+ * GET /api/solution1/budget?threadId=
+ * Budget status: limits, spend and remaining budget (thread, client, daily, global)
+ */
+router.get('/budget', async (req, res) => {
+	try {
+		const threadId = req.query.threadId || 'default';
+
+		const validation = Validators.validateThreadId(threadId);
+		if (!validation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: validation.error,
+			});
+		}
+
+		res.json({
+			success: true,
+			budget: budgetManager.check('solution1', {
+				threadId,
+				clientId: req.ip,
+			}),
+		});
+	} catch (error) {
+		Logger.error('Failed to get budget:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'getBudget',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
 /**
  * GET /api/solution1/statistics
  * Get usage statistics
@@ -226,4 +517,122 @@ router.get('/vector-store/:vectorStoreId', async (req, res) => {
 	}
 });
 
+/**
+ * GET /api/solution1/files
+ * List files in the configured Vector Store (name, processing status, size)
+ */
+router.get('/files', async (req, res) => {
+	try {
+		const vectorStoreId = fileService.getVectorStoreId();
+		const result = await fileService.listFilesInVectorStore(vectorStoreId);
+		res.json(result);
+	} catch (error) {
+		Logger.error('Failed to list files:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'listFiles',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
+/**
+ * DELETE /api/solution1/files/:fileId
+ * Detach a file from the configured Vector Store (admin only: X-Admin-Token header -
+ * the Vector Store is shared by all users)
+ * Query: ?delete=true also deletes the file from OpenAI storage
+ */
+router.delete('/files/:fileId', async (req, res) => {
+	try {
+		const { fileId } = req.params;
+		const deleteFile = req.query.delete === 'true';
+
+		const tokenValidation = Validators.validateAdminToken(
+			req.get('X-Admin-Token')
+		);
+		if (!tokenValidation.valid) {
+			return res.status(403).json({
+				success: false,
+				error: tokenValidation.error,
+			});
+		}
+
+		const validation = Validators.validateFileId(fileId);
+		if (!validation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: validation.error,
+			});
+		}
+
+		const vectorStoreId = fileService.getVectorStoreId();
+		const result = await fileService.removeFileFromVectorStore(
+			vectorStoreId,
+			fileId,
+			deleteFile
+		);
+		answerCache.invalidate('solution1');
+		res.json(result);
+	} catch (error) {
+		Logger.error('Failed to remove file:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'removeFile',
+			fileId: req.params.fileId,
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
+/**
+ * POST /api/solution1/vector-store/recreate
+ * Recreate the Vector Store from src/assets (admin only: X-Admin-Token header)
+ */
+router.post('/vector-store/recreate', async (req, res) => {
+	try {
+		const validation = Validators.validateAdminToken(req.get('X-Admin-Token'));
+		if (!validation.valid) {
+			return res.status(403).json({
+				success: false,
+				error: validation.error,
+			});
+		}
+
+		Logger.warn('Recreating Vector Store from src/assets');
+		const result = await fileService.recreateVectorStore();
+		answerCache.invalidate('solution1');
+		res.json(result);
+	} catch (error) {
+		Logger.error('Failed to recreate Vector Store:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'recreateVectorStore',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
+/**
+ * DELETE /api/solution1/cache
+ * Clear cached Solution 1 answers (admin only: X-Admin-Token header)
+ * Uploads, file removal and Vector Store recreation clear it automatically
+ */
+router.delete('/cache', (req, res) => {
+	try {
+		const validation = Validators.validateAdminToken(req.get('X-Admin-Token'));
+		if (!validation.valid) {
+			return res.status(403).json({
+				success: false,
+				error: validation.error,
+			});
+		}
+
+		const removed = answerCache.invalidate('solution1');
+		res.json({ success: true, removed });
+	} catch (error) {
+		Logger.error('Failed to clear answer cache:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'clearCache',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
 export default router;
@@ -0,0 +1,219 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../../shared/utils/logger.js';
+
+/**
+ * Conversation Stores - Solution 1
+ * Storage backends for MemoryService (Map-like API)
+ *
+ * - InMemoryConversationStore: Map only, lost on restart (used for tests)
+ * - FileConversationStore: JSON file on disk (debounced async writes), survives restarts (default)
+ */
+
+/**
+ * In-memory store - plain Map
+ */
+export class InMemoryConversationStore {
+	constructor() {
+		this.conversations = new Map();
+	}
+
+	get(threadId) {
+		return this.conversations.get(threadId);
+	}
+
+	has(threadId) {
+		return this.conversations.has(threadId);
+	}
+
+	set(threadId, conversation) {
+		this.conversations.set(threadId, conversation);
+	}
+
+	delete(threadId) {
+		return this.conversations.delete(threadId);
+	}
+
+	keys() {
+		return Array.from(this.conversations.keys());
+	}
+
+	values() {
+		return Array.from(this.conversations.values());
+	}
+
+	entries() {
+		return Array.from(this.conversations.entries());
+	}
+}
+
+/**
+ * File store - keeps a Map cache and writes changes to a JSON file
+ *
+ * Writes are debounced and asynchronous: changes within flushDelayMs are written
+ * together, off the event loop. Pending changes are written synchronously on exit.
+ */
+export class FileConversationStore extends InMemoryConversationStore {
+	/**
+	 * @param {string} filePath - JSON file path
+	 * @param {Object} options - Store options
+	 * @param {number} options.flushDelayMs - Wait before writing changes (default: 200)
+	 */
+	constructor(filePath, { flushDelayMs = 200 } = {}) {
+		super();
+		this.filePath = path.resolve(filePath);
+		this.flushDelayMs = flushDelayMs;
+		this.flushTimer = null;
+		this.dirty = false; // Changes not written yet
+		this.writing = null; // Running write (Promise)
+		this.load();
+
+		process.on('exit', () => this.flushSync());
+	}
+
+	/**
+	 * Load conversations from disk (missing file = empty store)
+	 */
+	load() {
+		if (!fs.existsSync(this.filePath)) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+			Object.entries(data.conversations || {}).forEach(
+				([threadId, conversation]) => {
+					this.conversations.set(threadId, conversation);
+				}
+			);
+			Logger.info(
+				`Loaded ${this.conversations.size} conversations from ${this.filePath}`
+			);
+		} catch (error) {
+			Logger.error(`Failed to load conversations from ${this.filePath}`, error);
+		}
+	}
+
+	/**
+	 * File contents for the current conversations
+	 * @returns {string} JSON
+	 */
+	serialize() {
+		return JSON.stringify({
+			conversations: Object.fromEntries(this.conversations),
+		});
+	}
+
+	/**
+	 * Mark the store changed and write it after flushDelayMs
+	 */
+	schedulePersist() {
+		this.dirty = true;
+		if (this.flushTimer) {
+			return;
+		}
+		this.flushTimer = setTimeout(() => {
+			this.flushTimer = null;
+			this.persist();
+		}, this.flushDelayMs);
+		this.flushTimer.unref();
+	}
+
+	/**
+	 * Write all conversations to disk (temp file + rename, so a crash
+	 * never leaves a half-written file)
+	 * Changes made while a write is running are written right after it
+	 * @returns {Promise<void>} Resolves when everything is written
+	 */
+	async persist() {
+		if (this.writing) {
+			return this.writing;
+		}
+
+		this.writing = (async () => {
+			while (this.dirty) {
+				this.dirty = false;
+				try {
+					await fs.promises.mkdir(path.dirname(this.filePath), {
+						recursive: true,
+					});
+					const tempPath = `${this.filePath}.tmp`;
+					await fs.promises.writeFile(tempPath, this.serialize());
+					await fs.promises.rename(tempPath, this.filePath);
+				} catch (error) {
+					Logger.error(
+						`Failed to save conversations to ${this.filePath}`,
+						error
+					);
+				}
+			}
+		})();
+
+		try {
+			await this.writing;
+		} finally {
+			this.writing = null;
+		}
+	}
+
+	/**
+	 * Write pending changes synchronously (process exit)
+	 */
+	flushSync() {
+		// A running async write may not have read the conversations yet
+		if (!this.dirty && !this.writing) {
+			return;
+		}
+		clearTimeout(this.flushTimer);
+		this.flushTimer = null;
+		this.dirty = false;
+
+		try {
+			fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+			const tempPath = `${this.filePath}.sync.tmp`;
+			fs.writeFileSync(tempPath, this.serialize());
+			fs.renameSync(tempPath, this.filePath);
+		} catch (error) {
+			Logger.error(`Failed to save conversations to ${this.filePath}`, error);
+		}
+	}
+
+	set(threadId, conversation) {
+		super.set(threadId, conversation);
+		this.schedulePersist();
+	}
+
+	delete(threadId) {
+		const deleted = super.delete(threadId);
+		if (deleted) {
+			this.schedulePersist();
+		}
+		return deleted;
+	}
+}
+
+/**
+ * Create conversation store from environment configuration
+ * SOLUTION1_MEMORY_STORE=file|memory (default: file, memory when NODE_ENV=test)
+ * SOLUTION1_MEMORY_FILE=path to JSON file (default: data/solution1-conversations.json)
+ * @returns {InMemoryConversationStore} Store instance
+ */
+export function createConversationStore() {
+	const type =
+		process.env.SOLUTION1_MEMORY_STORE ||
+		(process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+	if (type === 'memory') {
+		return new InMemoryConversationStore();
+	}
+
+	if (type === 'file') {
+		return new FileConversationStore(
+			process.env.SOLUTION1_MEMORY_FILE || 'data/solution1-conversations.json'
+		);
+	}
+
+	throw new Error(
+		`Unknown SOLUTION1_MEMORY_STORE "${type}" (expected "file" or "memory")`
+	);
+}
@@ -1,23 +1,81 @@
-import OpenAI from 'openai';
+import OpenAI, { toFile } from 'openai';
 import { ErrorHandler } from '../utils/errorHandler.js';
 import { Logger } from '../../shared/utils/logger.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 /**
  * File Service - Solution 1
  * Manages OpenAI Vector Store operations
  *
  * IMPORTANT: Vector Store is created ONCE by running: npm run init:vectorstore
- * This service only retrieves and manages the existing Vector Store
+ * This service retrieves and manages the existing Vector Store,
+ * and adds new documents to it (POST /api/solution1/upload)
  */
 export class FileService {
 	constructor() {
 		this.client = new OpenAI({
 			apiKey: process.env.OPENAI_API_KEY,
 		});
+		this.stateFile = path.resolve(
+			process.env.SOLUTION1_VECTOR_STORE_FILE ||
+				'data/solution1-vector-store.json'
+		);
 		// Get pre-configured Vector Store ID from environment variables
-		this.vectorStoreId = process.env.VECTOR_STORE_ID;
+		// (or the store that replaced it via recreateVectorStore)
+		this.vectorStoreId =
+			this.loadRecreatedVectorStoreId() || process.env.VECTOR_STORE_ID;
+	}
+
+	/**
+	 * ID of a Vector Store recreated to replace the configured one
+	 * Ignored once VECTOR_STORE_ID in .env points to another store
+	 * @returns {string|null} Vector Store ID
+	 */
+	loadRecreatedVectorStoreId() {
+		if (!fs.existsSync(this.stateFile)) {
+			return null;
+		}
+
+		try {
+			const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+			if (state.replaces !== (process.env.VECTOR_STORE_ID || null)) {
+				return null;
+			}
+			Logger.info(
+				`Using recreated Vector Store ${state.vectorStoreId} (replaces VECTOR_STORE_ID ${state.replaces})`
+			);
+			return state.vectorStoreId;
+		} catch (error) {
+			Logger.error(`Failed to read ${this.stateFile}`, error);
+			return null;
+		}
+	}
+
+	/**
+	 * Remember a recreated Vector Store across restarts
+	 * @param {string} vectorStoreId - New Vector Store ID
+	 */
+	saveRecreatedVectorStoreId(vectorStoreId) {
+		fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+		fs.writeFileSync(
+			this.stateFile,
+			JSON.stringify(
+				{
+					vectorStoreId,
+					replaces: process.env.VECTOR_STORE_ID || null,
+					recreatedAt: new Date().toISOString(),
+				},
+				null,
+				2
+			)
+		);
 	}
 
 	/**
@@ -59,16 +117,43 @@ export class FileService {
 	}
 
 	/**
-	 * List files in Vector Store
+	 * List files in Vector Store (with file name, processing status and size)
 	 * @param {string} vectorStoreId - Vector Store ID
-	 * @returns {Promise<Array>} List of files
+	 * @returns {Promise<Object>} List of files
 	 */
 	async listFilesInVectorStore(vectorStoreId) {
 		try {
-			const files = await this.client.vectorStores.files.list(vectorStoreId);
+			// Auto-paginate through all Vector Store files
+			const vectorStoreFiles = [];
+			for await (const file of this.client.vectorStores.files.list(
+				vectorStoreId
+			)) {
+				vectorStoreFiles.push(file);
+			}
+
+			// File names live on the File object, not on the Vector Store file
+			const files = await Promise.all(
+				vectorStoreFiles.map(async (vectorStoreFile) => {
+					const file = await this.client.files
+						.retrieve(vectorStoreFile.id)
+						.catch(() => null); // File may already be deleted
+
+					return {
+						id: vectorStoreFile.id,
+						filename: file?.filename || null,
+						status: vectorStoreFile.status,
+						bytes: file?.bytes ?? null,
+						usage_bytes: vectorStoreFile.usage_bytes,
+						created_at: vectorStoreFile.created_at,
+						last_error: vectorStoreFile.last_error?.message || null,
+					};
+				})
+			);
+
 			return {
 				success: true,
-				files: files.data,
+				vectorStoreId,
+				files,
 			};
 		} catch (error) {
 			throw ErrorHandler.handle(error, {
@@ -78,6 +163,261 @@ export class FileService {
 		}
 	}
 
+	/**
+	 * Remove a file from the Vector Store
+	 * @param {string} vectorStoreId - Vector Store ID
+	 * @param {string} fileId - File ID
+	 * @param {boolean} deleteFile - Also delete the uploaded file from OpenAI storage
+	 * @returns {Promise<Object>} Removal result
+	 */
+	async removeFileFromVectorStore(vectorStoreId, fileId, deleteFile = false) {
+		try {
+			await this.client.vectorStores.files.del(vectorStoreId, fileId);
+			Logger.info(`File detached from Vector Store: ${fileId}`);
+
+			if (deleteFile) {
+				await this.client.files.del(fileId);
+				Logger.info(`File deleted: ${fileId}`);
+			}
+
+			return {
+				success: true,
+				fileId,
+				detached: true,
+				deleted: deleteFile,
+			};
+		} catch (error) {
+			throw ErrorHandler.handle(error, {
+				operation: 'removeFileFromVectorStore',
+				vectorStoreId,
+				fileId,
+			});
+		}
+	}
+
+	/**
+	 * Recreate the Vector Store from the PDFs in src/assets
+	 * Creates a new store and uploads every PDF. Only when every file was processed
+	 * does it switch to the new store (saved to SOLUTION1_VECTOR_STORE_FILE, so restarts
+	 * keep using it) and delete the old one with its files; otherwise the new store is deleted again
+	 * @returns {Promise<Object>} New Vector Store ID and per-file results
+	 */
+	async recreateVectorStore() {
+		const previousVectorStoreId = this.vectorStoreId;
+		let newVectorStoreId = null;
+
+		try {
+			const assetsDir = path.join(__dirname, '../../assets');
+			const pdfFiles = fs
+				.readdirSync(assetsDir)
+				.filter((name) => name.toLowerCase().endsWith('.pdf'));
+
+			if (pdfFiles.length === 0) {
+				throw new Error(`No PDF files found in ${assetsDir}`);
+			}
+
+			Logger.info('Creating new Vector Store...');
+			const vectorStore = await this.client.vectorStores.create({
+				name: 'FK',
+			});
+			newVectorStoreId = vectorStore.id;
+
+			const files = [];
+			for (const name of pdfFiles) {
+				files.push(
+					await this.uploadToVectorStore(
+						{
+							buffer: fs.readFileSync(path.join(assetsDir, name)),
+							originalname: name,
+							mimetype: 'application/pdf',
+						},
+						vectorStore.id
+					)
+				);
+			}
+
+			const incomplete = files.filter((file) => file.status !== 'completed');
+			if (incomplete.length > 0) {
+				throw new Error(
+					`Vector Store not replaced, ${
+						incomplete.length
+					} file(s) not processed: ${incomplete
+						.map((file) => `${file.fileName} (${file.error || file.status})`)
+						.join(', ')}`
+				);
+			}
+
+			// Switch to the new store (and remember it) before removing the old one
+			this.saveRecreatedVectorStoreId(vectorStore.id);
+			this.vectorStoreId = vectorStore.id;
+			newVectorStoreId = null;
+			Logger.success(`Vector Store recreated: ${vectorStore.id}`);
+
+			if (previousVectorStoreId) {
+				await this.deleteVectorStoreWithFiles(previousVectorStoreId).catch(
+					(error) =>
+						Logger.warn(
+							`Could not delete previous Vector Store ${previousVectorStoreId}`,
+							error.error || error
+						)
+				);
+			}
+
+			return {
+				success: true,
+				vectorStoreId: vectorStore.id,
+				previousVectorStoreId: previousVectorStoreId || null,
+				files,
+				message: `Now using ${vectorStore.id} (saved to ${this.stateFile}). Set VECTOR_STORE_ID=${vectorStore.id} in your .env file`,
+			};
+		} catch (error) {
+			// Keep the old store, remove the unfinished new one
+			if (newVectorStoreId) {
+				await this.deleteVectorStore(newVectorStoreId).catch((cleanupError) =>
+					Logger.warn(
+						`Could not delete unfinished Vector Store ${newVectorStoreId}`,
+						cleanupError.error || cleanupError
+					)
+				);
+			}
+			throw ErrorHandler.handle(error, {
+				operation: 'recreateVectorStore',
+				previousVectorStoreId,
+			});
+		}
+	}
+
+	/**
+	 * Upload a document and add it to the Vector Store
+	 * (the uploaded file is deleted again if it cannot be attached)
+	 * @param {Object} file - Multer file object (memory storage: buffer, originalname, mimetype)
+	 * @param {string} vectorStoreId - Vector Store ID
+	 * @returns {Promise<Object>} Upload result with processing status
+	 */
+	async uploadToVectorStore(file, vectorStoreId) {
+		try {
+			Logger.info(`Uploading file to OpenAI: ${file.originalname}`);
+
+			// Keep the original file name (shown in file search citations)
+			const fileUpload = await this.client.files.create({
+				purpose: 'assistants',
+				file: await toFile(file.buffer, file.originalname, {
+					type: file.mimetype,
+				}),
+			});
+			Logger.info(`File uploaded: ${fileUpload.id}`);
+
+			try {
+				await this.client.vectorStores.files.create(vectorStoreId, {
+					file_id: fileUpload.id,
+				});
+			} catch (error) {
+				// Do not leave an uploaded file that no Vector Store uses
+				await this.client.files
+					.del(fileUpload.id)
+					.catch((cleanupError) =>
+						Logger.warn(
+							`Could not delete unattached file ${fileUpload.id}`,
+							cleanupError.error || cleanupError
+						)
+					);
+				throw error;
+			}
+			Logger.info(`File attached to Vector Store: ${vectorStoreId}`);
+
+			const fileStatus = await this.waitForFileProcessing(
+				vectorStoreId,
+				fileUpload.id
+			);
+
+			return {
+				success: fileStatus.status !== 'failed',
+				fileId: fileUpload.id,
+				fileName: file.originalname,
+				bytes: fileUpload.bytes,
+				vectorStoreId,
+				status: fileStatus.status,
+				error: fileStatus.last_error?.message || null,
+			};
+		} catch (error) {
+			throw ErrorHandler.handle(error, {
+				operation: 'uploadToVectorStore',
+				fileName: file?.originalname,
+				vectorStoreId,
+			});
+		}
+	}
+
+	/**
+	 * Wait for Vector Store file processing to finish
+	 * @param {string} vectorStoreId - Vector Store ID
+	 * @param {string} fileId - File ID
+	 * @param {number} maxAttempts - Maximum number of status checks
+	 * @param {number} intervalMs - Delay between status checks (milliseconds)
+	 * @returns {Promise<Object>} Last file status (completed, failed or still in_progress)
+	 */
+	async waitForFileProcessing(
+		vectorStoreId,
+		fileId,
+		maxAttempts = 30,
+		intervalMs = 2000
+	) {
+		let fileStatus = null;
+
+		for (let i = 0; i < maxAttempts; i++) {
+			fileStatus = await this.client.vectorStores.files.retrieve(
+				vectorStoreId,
+				fileId
+			);
+
+			Logger.info(
+				`Processing status: ${fileStatus.status} (${i + 1}/${maxAttempts})`
+			);
+
+			if (fileStatus.status !== 'in_progress') {
+				return fileStatus;
+			}
+
+			await new Promise((resolve) => setTimeout(resolve, intervalMs));
+		}
+
+		Logger.warn(`File still processing after ${maxAttempts} checks: ${fileId}`);
+		return fileStatus;
+	}
+
+	/**
+	 * Delete a Vector Store and the uploaded files it contains
+	 * (deleting a store leaves its files in OpenAI storage)
+	 * @param {string} vectorStoreId - Vector Store ID
+	 * @returns {Promise<Object>} Deletion result with the number of deleted files
+	 */
+	async deleteVectorStoreWithFiles(vectorStoreId) {
+		// Read the file IDs first - they cannot be listed once the store is gone
+		const fileIds = [];
+		for await (const file of this.client.vectorStores.files.list(
+			vectorStoreId
+		)) {
+			fileIds.push(file.id);
+		}
+
+		const result = await this.deleteVectorStore(vectorStoreId);
+
+		let deletedFiles = 0;
+		for (const fileId of fileIds) {
+			try {
+				await this.client.files.del(fileId);
+				deletedFiles++;
+			} catch (error) {
+				Logger.warn(`Could not delete file ${fileId}`, error.error || error);
+			}
+		}
+		Logger.info(
+			`Deleted ${deletedFiles}/${fileIds.length} files of Vector Store ${vectorStoreId}`
+		);
+
+		return { ...result, deletedFiles };
+	}
+
 	/**
 	 * Delete Vector Store
 	 * @param {string} vectorStoreId - Vector Store ID
@@ -1,19 +1,23 @@
 import { Logger } from '../../shared/utils/logger.js';
+import { createConversationStore } from './conversationStore.js';
 
 /**
  * Memory Service - Solution 1
- * Manages conversation history and context in-memory
+ * Manages conversation history and context
  *
  * Features:
  * - Thread-based conversation tracking
+ * - Pluggable storage (JSON file by default, Map for tests)
  * - Token usage statistics
  * - Automatic cleanup of old conversations
  */
 export class MemoryService {
-	constructor() {
-		// Use Map to store conversation history
+	/**
+	 * @param {Object} store - Conversation store (Map-like API, see conversationStore.js)
+	 */
+	constructor(store = createConversationStore()) {
 		// Key: threadId, Value: conversation history object
-		this.conversations = new Map();
+		this.conversations = store;
 	}
 
 	/**
@@ -29,30 +33,35 @@ export class MemoryService {
 
 		// Return the last response ID
 		const lastEntry = conversation.history[conversation.history.length - 1];
-		return lastEntry.responseId;
+		return lastEntry.responseId || null;
 	}
 
 	/**
 	 * Save response to conversation history
 	 * @param {string} threadId - Thread ID
-	 * @param {string} responseId - Response ID
+	 * @param {string|null} responseId - Response ID (null for cached answers: the next query starts a new response chain)
 	 * @param {string} query - User query
 	 * @param {string} fileAnswer - File search answer
 	 * @param {string} webAnswer - Web search answer
 	 * @param {Object} usage - Token usage information
+	 * @param {Array} fileCitations - File citations of the file answer
 	 */
-	saveResponse(threadId, responseId, query, fileAnswer, webAnswer, usage) {
+	saveResponse(
+		threadId,
+		responseId,
+		query,
+		fileAnswer,
+		webAnswer,
+		usage,
+		fileCitations = []
+	) {
 		// If thread doesn't exist, create new conversation
-		if (!this.conversations.has(threadId)) {
-			this.conversations.set(threadId, {
-				threadId,
-				history: [],
-				createdAt: new Date().toISOString(),
-				lastUpdated: new Date().toISOString(),
-			});
-		}
-
-		const conversation = this.conversations.get(threadId);
+		const conversation = this.conversations.get(threadId) || {
+			threadId,
+			history: [],
+			createdAt: new Date().toISOString(),
+			lastUpdated: new Date().toISOString(),
+		};
 
 		// Add new conversation entry
 		conversation.history.push({
@@ -60,6 +69,7 @@ export class MemoryService {
 			query,
 			fileAnswer,
 			webAnswer,
+			fileCitations,
 			usage,
 			timestamp: new Date().toISOString(),
 		});
@@ -67,6 +77,9 @@ export class MemoryService {
 		// Update last modified time
 		conversation.lastUpdated = new Date().toISOString();
 
+		// Write back so persistent stores save the change
+		this.conversations.set(threadId, conversation);
+
 		Logger.info(
 			`Conversation saved - Thread: ${threadId}, Total entries: ${conversation.history.length}`
 		);
@@ -96,6 +109,7 @@ export class MemoryService {
 			query: entry.query,
 			fileAnswer: entry.fileAnswer,
 			webAnswer: entry.webAnswer,
+			fileCitations: entry.fileCitations || [],
 			timestamp: entry.timestamp,
 			usage: entry.usage,
 		}));
@@ -163,7 +177,7 @@ export class MemoryService {
 	 * @returns {Array<string>} List of thread IDs
 	 */
 	getActiveThreads() {
-		return Array.from(this.conversations.keys());
+		return this.conversations.keys();
 	}
 
 	/**
@@ -171,7 +185,7 @@ export class MemoryService {
 	 * @returns {Object} Statistics information
 	 */
 	getStatistics() {
-		const threads = Array.from(this.conversations.values());
+		const threads = this.conversations.values();
 
 		let totalMessages = 0;
 		let totalInputTokens = 0;
@@ -1,7 +1,10 @@
 import OpenAI from 'openai';
-import { OPENAI_MODELS, MODEL_COSTS } from '../../shared/config/constants.js';
+import { OPENAI_MODELS } from '../../shared/config/constants.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
 import { Logger } from '../../shared/utils/logger.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
+import { answerCache } from '../../shared/utils/answerCache.js';
+import { Retry } from '../../shared/utils/retry.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -11,8 +14,11 @@ dotenv.config();
  *
  * Features:
  * - Uses OpenAI's file_search tool for PDF querying
+ * - Returns file citations (file, quoted snippet, position in answer)
  * - Uses OpenAI's web_search_preview tool for web searches
  * - Parallel execution for faster responses
+ * - Semantic answer cache for repeated first questions of a thread
+ * - Retries rate limits and server errors with backoff (shared Retry utility)
  * - Response time tracking
  */
 export class ResponseService {
@@ -27,9 +33,13 @@ export class ResponseService {
 	 * @param {string} query - User query
 	 * @param {string} vectorStoreId - Vector Store ID
 	 * @param {string} previousResponseId - Previous response ID (for conversation context)
+	 * @param {Object} options - Query options
+	 * @param {boolean} options.webSearch - Run web search (false = file search only, used when over budget)
 	 * @returns {Promise<Object>} Query result
 	 */
-	async query(query, vectorStoreId, previousResponseId = null) {
+	async query(query, vectorStoreId, previousResponseId = null, options = {}) {
+		const { webSearch = true } = options;
+
 		try {
 			// Start time tracking
 			const startTime = Date.now();
@@ -39,100 +49,472 @@ export class ResponseService {
 			);
 			Logger.info(`Query: ${query}`);
 
+			const cacheLookup = await this.lookupCache(query, previousResponseId);
+			if (cacheLookup?.hit) {
+				return this.buildCachedResult(
+					cacheLookup,
+					(Date.now() - startTime) / 1000
+				);
+			}
+
 			// Execute file search and web search in parallel
 			const [fileResponse, webResponse] = await Promise.all([
 				this.fileSearch(query, vectorStoreId, previousResponseId),
-				this.webSearch(query),
+				webSearch ? this.webSearch(query) : null,
 			]);
 
 			// Calculate response time
 			const endTime = Date.now();
 			const responseTime = (endTime - startTime) / 1000; // Convert to seconds
 
-			// Calculate total token usage
-			const totalInputTokens =
-				fileResponse.usage.input_tokens + webResponse.usage.input_tokens;
-			const totalOutputTokens =
-				fileResponse.usage.output_tokens + webResponse.usage.output_tokens;
+			return this.cacheResult(
+				query,
+				cacheLookup,
+				this.buildQueryResult(fileResponse, webResponse, responseTime)
+			);
+		} catch (error) {
+			Logger.error('Query failed:', error);
+			throw ErrorHandler.handle(error, {
+				operation: 'query',
+				query,
+				vectorStoreId,
+			});
+		}
+	}
 
-			// Calculate cost
-			const modelCost = MODEL_COSTS[OPENAI_MODELS.CHEAPEST];
-			const inputCost = (totalInputTokens / 1000000) * 0.15;
-			const outputCost = (totalOutputTokens / 1000000) * 0.6;
-			const totalCost = inputCost + outputCost;
+	/**
+	 * Build combined query result (usage, cost, answers)
+	 * @param {Object} fileResponse - File search response
+	 * @param {Object|null} webResponse - Web search response (null when web search was skipped)
+	 * @param {number} responseTime - Response time in seconds
+	 * @returns {Object} Query result
+	 */
+	buildQueryResult(fileResponse, webResponse, responseTime) {
+		// Calculate total token usage
+		const totalInputTokens =
+			fileResponse.usage.input_tokens + (webResponse?.usage.input_tokens || 0);
+		const totalOutputTokens =
+			fileResponse.usage.output_tokens +
+			(webResponse?.usage.output_tokens || 0);
 
-			// Log cost and time using Logger
-			Logger.cost(
+		// Calculate cost (tokens + web search tool calls)
+		const webSearchCalls = webResponse
+			? this.countWebSearchCalls(webResponse)
+			: 0;
+		const totalCost =
+			CostCalculator.chatCost(
 				OPENAI_MODELS.CHEAPEST,
-				{
-					input_tokens: totalInputTokens,
-					output_tokens: totalOutputTokens,
-					total_tokens: totalInputTokens + totalOutputTokens,
-				},
-				totalCost
+				totalInputTokens,
+				totalOutputTokens
+			) + CostCalculator.toolCost('web_search_preview', webSearchCalls);
+
+		// Log cost and time using Logger
+		Logger.cost(
+			OPENAI_MODELS.CHEAPEST,
+			{
+				input_tokens: totalInputTokens,
+				output_tokens: totalOutputTokens,
+				total_tokens: totalInputTokens + totalOutputTokens,
+			},
+			totalCost
+		);
+		Logger.info(`⏱️ Response time: ${responseTime.toFixed(2)}s`);
+
+		return {
+			success: true,
+			cached: false,
+			fileAnswer: fileResponse.output_text,
+			fileCitations: this.extractFileCitations(fileResponse),
+			webAnswer: webResponse?.output_text || null,
+			webSearchSkipped: !webResponse,
+			retries: {
+				// Retried transient failures (rate limits, server errors)
+				fileSearch: fileResponse.retries || 0,
+				webSearch: webResponse?.retries || 0,
+			},
+			fileResponseId: fileResponse.id,
+			webResponseId: webResponse?.id || null,
+			model: OPENAI_MODELS.CHEAPEST,
+			usage: {
+				input_tokens: totalInputTokens,
+				output_tokens: totalOutputTokens,
+				total_tokens: totalInputTokens + totalOutputTokens,
+				web_search_calls: webSearchCalls,
+				estimated_cost: totalCost,
+				response_time: responseTime,
+			},
+			timestamp: new Date().toISOString(),
+		};
+	}
+
+	/**
+	 * Look up a cached answer
+	 * Only the first question of a thread is cached - follow-ups depend on
+	 * the conversation (previous_response_id)
+	 * @param {string} query - User query
+	 * @param {string} previousResponseId - Previous response ID
+	 * @returns {Promise<Object|null>} Cache lookup (null = not cacheable)
+	 */
+	async lookupCache(query, previousResponseId) {
+		if (previousResponseId) {
+			return null;
+		}
+		return answerCache.lookup('solution1', query);
+	}
+
+	/**
+	 * Store a fresh result in the answer cache and add the lookup
+	 * embedding to its cost
+	 * @param {string} query - User query
+	 * @param {Object|null} cacheLookup - Cache lookup (null = not cacheable)
+	 * @param {Object} result - Query result
+	 * @returns {Object} Query result
+	 */
+	cacheResult(query, cacheLookup, result) {
+		if (!cacheLookup) {
+			return result;
+		}
+
+		result.usage.estimated_cost += CostCalculator.embeddingCost(
+			cacheLookup.embeddingCost.model,
+			cacheLookup.embeddingCost.tokens
+		);
+
+		// Results without web search (over budget) are incomplete - not cached
+		if (!result.webSearchSkipped) {
+			answerCache.store('solution1', query, cacheLookup, result);
+		}
+		return result;
+	}
+
+	/**
+	 * Build query result from a cache hit (only the lookup embedding is paid)
+	 * @param {Object} cacheLookup - Cache lookup with hit
+	 * @param {number} responseTime - Response time in seconds
+	 * @returns {Object} Query result (same shape as query(), cached: true)
+	 */
+	buildCachedResult(cacheLookup, responseTime) {
+		const { hit, embeddingCost } = cacheLookup;
+
+		return {
+			...hit.result,
+			cached: true,
+			// The cached response IDs belong to the thread that asked first:
+			// a follow-up here starts a new response chain instead
+			fileResponseId: null,
+			webResponseId: null,
+			// The matched question is not returned: it may be another user's
+			cache: {
+				similarity: hit.similarity,
+				cachedAt: hit.cachedAt,
+			},
+			retries: { fileSearch: 0, webSearch: 0 },
+			usage: {
+				input_tokens: 0,
+				output_tokens: 0,
+				total_tokens: 0,
+				web_search_calls: 0,
+				estimated_cost: CostCalculator.embeddingCost(
+					embeddingCost.model,
+					embeddingCost.tokens
+				),
+				response_time: responseTime,
+			},
+			timestamp: new Date().toISOString(),
+		};
+	}
+
+	/**
+	 * Streaming query - File search and web search as two labelled channels
+	 * @param {string} query - User query
+	 * @param {string} vectorStoreId - Vector Store ID
+	 * @param {string} previousResponseId - Previous response ID (for conversation context)
+	 * @param {Function} onDelta - Callback (channel, delta) for each text delta ('file' | 'web')
+	 * @param {Object} options - Query options (same as query())
+	 * @param {AbortSignal} options.signal - Aborts both upstream streams (client disconnected)
+	 * @returns {Promise<Object>} Query result (same shape as query())
+	 */
+	async queryStream(
+		query,
+		vectorStoreId,
+		previousResponseId = null,
+		onDelta,
+		options = {}
+	) {
+		const { webSearch = true, signal = null } = options;
+
+		try {
+			const startTime = Date.now();
+
+			Logger.info(
+				`[Solution 1] Streaming with OpenAI's cheapest model: ${OPENAI_MODELS.CHEAPEST}`
 			);
-			Logger.info(`⏱️ Response time: ${responseTime.toFixed(2)}s`);
+			Logger.info(`Query: ${query}`);
 
-			return {
-				success: true,
-				fileAnswer: fileResponse.output_text,
-				webAnswer: webResponse.output_text,
-				fileResponseId: fileResponse.id,
-				webResponseId: webResponse.id,
-				model: OPENAI_MODELS.CHEAPEST,
-				usage: {
-					input_tokens: totalInputTokens,
-					output_tokens: totalOutputTokens,
-					total_tokens: totalInputTokens + totalOutputTokens,
-					estimated_cost: totalCost,
-					response_time: responseTime,
-				},
-				timestamp: new Date().toISOString(),
-			};
+			// Cached answers are sent as one delta per channel
+			const cacheLookup = await this.lookupCache(query, previousResponseId);
+			if (cacheLookup?.hit) {
+				const result = this.buildCachedResult(
+					cacheLookup,
+					(Date.now() - startTime) / 1000
+				);
+				onDelta('file', result.fileAnswer);
+				if (result.webAnswer) {
+					onDelta('web', result.webAnswer);
+				}
+				return result;
+			}
+
+			// Stream file search and web search in parallel
+			const [fileResponse, webResponse] = await Promise.all([
+				this.streamResponse(
+					this.getFileSearchConfig(query, vectorStoreId, previousResponseId),
+					(delta) => onDelta('file', delta),
+					'File search',
+					signal
+				),
+				webSearch
+					? this.streamResponse(
+							this.getWebSearchConfig(query),
+							(delta) => onDelta('web', delta),
+							'Web search',
+							signal
+					  )
+					: null,
+			]);
+
+			const responseTime = (Date.now() - startTime) / 1000;
+
+			return this.cacheResult(
+				query,
+				cacheLookup,
+				this.buildQueryResult(fileResponse, webResponse, responseTime)
+			);
 		} catch (error) {
-			Logger.error('Query failed:', error);
+			if (signal?.aborted) {
+				Logger.info('Streaming query aborted (client disconnected)');
+				throw error;
+			}
+			Logger.error('Streaming query failed:', error);
 			throw ErrorHandler.handle(error, {
-				operation: 'query',
+				operation: 'queryStream',
 				query,
 				vectorStoreId,
 			});
 		}
 	}
 
+	/**
+	 * Stream a Responses API request and forward text deltas
+	 * @param {Object} requestConfig - Responses API request configuration
+	 * @param {Function} onDelta - Callback for each output text delta
+	 * @param {string} label - Call name for logs
+	 * @param {AbortSignal} signal - Aborts the upstream stream (e.g. client disconnected)
+	 * @returns {Promise<Object>} Completed response (with output_text and retries)
+	 */
+	async streamResponse(
+		requestConfig,
+		onDelta,
+		label = 'Streaming response',
+		signal = null
+	) {
+		const { result: stream, retries } = await this.createWithRetry(
+			{ ...requestConfig, stream: true },
+			label,
+			signal
+		);
+
+		let outputText = '';
+		let completedResponse = null;
+
+		for await (const event of stream) {
+			if (event.type === 'response.output_text.delta') {
+				outputText += event.delta;
+				onDelta(event.delta);
+			} else if (event.type === 'response.completed') {
+				completedResponse = event.response;
+			} else if (event.type === 'response.failed') {
+				throw new Error(
+					event.response?.error?.message || 'Streaming response failed'
+				);
+			} else if (event.type === 'error') {
+				throw new Error(event.message || 'Streaming response failed');
+			}
+		}
+
+		if (!completedResponse) {
+			throw new Error('Stream ended before the response completed');
+		}
+
+		// Streamed responses do not carry the output_text convenience field
+		return { ...completedResponse, output_text: outputText, retries };
+	}
+
+	/**
+	 * Build file search request configuration
+	 * @param {string} query - User query
+	 * @param {string} vectorStoreId - Vector Store ID
+	 * @param {string} previousResponseId - Previous response ID
+	 * @returns {Object} Responses API request configuration
+	 */
+	getFileSearchConfig(query, vectorStoreId, previousResponseId = null) {
+		const requestConfig = {
+			model: OPENAI_MODELS.CHEAPEST,
+			input: query,
+			tools: [
+				{
+					type: 'file_search',
+					vector_store_ids: [vectorStoreId],
+					// Limit to top 2 results (same as Solution 2)
+					max_num_results: 2,
+				},
+			],
+			// Return search results so citations can quote the source text
+			include: ['file_search_call.results'],
+			store: true, // Store response for conversation context
+		};
+
+		// Add previous response ID if exists (for conversation continuity)
+		if (previousResponseId) {
+			requestConfig.previous_response_id = previousResponseId;
+		}
+
+		return requestConfig;
+	}
+
+	/**
+	 * Count web_search_preview tool calls in a response (billed per call)
+	 * @param {Object} response - Responses API response
+	 * @returns {number} Number of web search calls
+	 */
+	countWebSearchCalls(response) {
+		return (response.output || []).filter(
+			(item) => item.type === 'web_search_call'
+		).length;
+	}
+
+	/**
+	 * Extract file citations from a file search response
+	 * One citation per cited file; positions are character offsets in the answer
+	 * @param {Object} response - Responses API response
+	 * @returns {Array<Object>} Citations { number, fileId, fileName, snippet, score, positions }
+	 */
+	extractFileCitations(response) {
+		const output = response.output || [];
+
+		// Search results (ordered by score) - source of the quoted snippets
+		const searchResults = output
+			.filter((item) => item.type === 'file_search_call')
+			.flatMap((item) => item.results || []);
+
+		const annotations = output
+			.filter((item) => item.type === 'message')
+			.flatMap((item) => item.content || [])
+			.filter((content) => content.type === 'output_text')
+			.flatMap((content) => content.annotations || [])
+			.filter((annotation) => annotation.type === 'file_citation');
+
+		const citations = new Map();
+		annotations.forEach((annotation) => {
+			if (!citations.has(annotation.file_id)) {
+				const result = searchResults.find(
+					(r) => r.file_id === annotation.file_id
+				);
+				citations.set(annotation.file_id, {
+					number: citations.size + 1,
+					fileId: annotation.file_id,
+					fileName: annotation.filename || result?.filename || null,
+					snippet: this.truncateSnippet(result?.text),
+					score: result?.score ?? null,
+					positions: [],
+				});
+			}
+			citations.get(annotation.file_id).positions.push(annotation.index);
+		});
+
+		return Array.from(citations.values());
+	}
+
+	/**
+	 * Shorten a search result chunk to a quotable snippet
+	 * @param {string} text - Search result text
+	 * @param {number} maxLength - Maximum snippet length
+	 * @returns {string|null} Snippet
+	 */
+	truncateSnippet(text, maxLength = 300) {
+		if (!text) return null;
+		const snippet = text.replace(/\s+/g, ' ').trim();
+		return snippet.length > maxLength
+			? `${snippet.slice(0, maxLength).trimEnd()}…`
+			: snippet;
+	}
+
+	/**
+	 * Build web search request configuration
+	 * @param {string} query - User query
+	 * @returns {Object} Responses API request configuration
+	 */
+	getWebSearchConfig(query) {
+		return {
+			model: OPENAI_MODELS.CHEAPEST,
+			input: query,
+			tools: [
+				{
+					type: 'web_search_preview',
+				},
+			],
+		};
+	}
+
+	/**
+	 * Create a response, retrying rate limits and server errors
+	 * (the SDK's own retries are turned off so every retry is counted)
+	 * Streams are retried only when the request itself fails (before any delta)
+	 * @param {Object} requestConfig - Responses API request configuration
+	 * @param {string} label - Call name for logs
+	 * @param {AbortSignal} signal - Aborts the request (no retry once aborted)
+	 * @returns {Promise<Object>} { result (response or stream), retries }
+	 */
+	createWithRetry(requestConfig, label, signal = null) {
+		return Retry.run(
+			() =>
+				this.client.responses.create(requestConfig, {
+					maxRetries: 0,
+					...(signal && { signal }),
+				}),
+			{
+				label,
+				decide: (error, retryCount) =>
+					ErrorHandler.handleAPIError(error, { retryCount }),
+				canRetry: () => !signal?.aborted,
+			}
+		);
+	}
+
 	/**
 	 * File search - Using file_search tool
 	 * @param {string} query - User query
 	 * @param {string} vectorStoreId - Vector Store ID
 	 * @param {string} previousResponseId - Previous response ID
-	 * @returns {Promise<Object>} File search result
+	 * @returns {Promise<Object>} File search result (with retries)
 	 */
 	async fileSearch(query, vectorStoreId, previousResponseId = null) {
 		try {
 			Logger.info('Executing file search...');
 
-			const requestConfig = {
-				model: OPENAI_MODELS.CHEAPEST,
-				input: query,
-				tools: [
-					{
-						type: 'file_search',
-						vector_store_ids: [vectorStoreId],
-						// Limit to top 2 results (same as Solution 2)
-						max_num_results: 2,
-					},
-				],
-				store: true, // Store response for conversation context
-			};
-
-			// Add previous response ID if exists (for conversation continuity)
-			if (previousResponseId) {
-				requestConfig.previous_response_id = previousResponseId;
-			}
+			const requestConfig = this.getFileSearchConfig(
+				query,
+				vectorStoreId,
+				previousResponseId
+			);
 
-			const response = await this.client.responses.create(requestConfig);
+			const { result, retries } = await this.createWithRetry(
+				requestConfig,
+				'File search'
+			);
 			Logger.info('File search completed (top 2 results)');
 
-			return response;
+			return { ...result, retries };
 		} catch (error) {
 			Logger.error('File search failed:', error);
 			throw error;
@@ -142,25 +524,20 @@ export class ResponseService {
 	/**
 	 * Web search - Using OpenAI's built-in web_search_preview tool
 	 * @param {string} query - User query
-	 * @returns {Promise<Object>} Web search result
+	 * @returns {Promise<Object>} Web search result (with retries)
 	 */
 	async webSearch(query) {
 		try {
 			Logger.info('Executing web search...');
 
-			const response = await this.client.responses.create({
-				model: OPENAI_MODELS.CHEAPEST,
-				input: query,
-				tools: [
-					{
-						type: 'web_search_preview',
-					},
-				],
-			});
+			const { result, retries } = await this.createWithRetry(
+				this.getWebSearchConfig(query),
+				'Web search'
+			);
 
 			Logger.info('Web search completed');
 
-			return response;
+			return { ...result, retries };
 		} catch (error) {
 			Logger.error('Web search failed:', error);
 			throw error;
@@ -185,9 +562,11 @@ export class ResponseService {
 			);
 
 			// Calculate cost
-			const inputCost = (response.usage.input_tokens / 1000000) * 0.15;
-			const outputCost = (response.usage.output_tokens / 1000000) * 0.6;
-			const totalCost = inputCost + outputCost;
+			const totalCost = CostCalculator.chatCost(
+				OPENAI_MODELS.CHEAPEST,
+				response.usage.input_tokens,
+				response.usage.output_tokens
+			);
 
 			// Log token usage and cost
 			Logger.cost(OPENAI_MODELS.CHEAPEST, response.usage, totalCost);
@@ -195,6 +574,7 @@ export class ResponseService {
 			return {
 				success: true,
 				answer: response.output_text,
+				citations: this.extractFileCitations(response),
 				responseId: response.id,
 				model: OPENAI_MODELS.CHEAPEST,
 				usage: {
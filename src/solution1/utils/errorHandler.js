@@ -123,10 +123,10 @@ export class ErrorHandler {
 			};
 		}
 
-		// Other API errors - can retry
+		// Other API errors (e.g. 5xx) - can retry, with the same backoff
 		return {
 			retry: true,
-			delay: 1000,
+			delay: this.calculateBackoff(context.retryCount || 0),
 			message: 'API request failed. Retrying...',
 		};
 	}
@@ -1,20 +1,38 @@
 import express from 'express';
+import multer from 'multer';
 import { ragService } from '../services/ragService.js';
+import { agentService } from '../services/agentService.js';
 import { pdfService } from '../services/pdfService.js';
 import { memoryService } from '../services/memoryService.js';
+import { ingestionService } from '../services/ingestionService.js';
 import { Validators } from '../../shared/utils/validators.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
 import { Logger } from '../../shared/utils/logger.js';
+import { SSE } from '../../shared/utils/sse.js';
+import { budgetManager } from '../../shared/utils/budgetManager.js';
+import { answerCache } from '../../shared/utils/answerCache.js';
+import { UPLOAD_CONFIG } from '../../shared/config/constants.js';
 
 const router = express.Router();
 
+// Keep uploads in memory - they are embedded directly, never stored locally
+const upload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: UPLOAD_CONFIG.MAX_FILE_SIZE },
+});
+
 /**
  * POST /api/solution2/query
  * Query using RAG Chain (File Search + LLM + Web Search)
+ * Optional body field searchMode: 'vector' | 'hybrid' (default: SOLUTION2_SEARCH_MODE or 'vector')
+ * Optional body field filters: { source, category, year } - only search matching chunks
+ * Over budget: 429, or no web search when BUDGET_ON_EXCEEDED=degrade
  */
 router.post('/query', async (req, res) => {
+	let reservation = null;
+
 	try {
-		const { query, threadId } = req.body;
+		const { query, threadId, searchMode, filters } = req.body;
 
 		// Validate input
 		if (!query || typeof query !== 'string' || query.trim().length === 0) {
@@ -24,6 +42,22 @@ router.post('/query', async (req, res) => {
 			});
 		}
 
+		const searchModeValidation = Validators.validateSearchMode(searchMode);
+		if (!searchModeValidation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: searchModeValidation.error,
+			});
+		}
+
+		const filtersValidation = Validators.validateSearchFilters(filters);
+		if (!filtersValidation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: filtersValidation.error,
+			});
+		}
+
 		const finalThreadId = threadId || 'default';
 
 		// Validate thread ID
@@ -38,6 +72,21 @@ router.post('/query', async (req, res) => {
 		// Sanitize query
 		const sanitizedQuery = Validators.sanitizeQuery(query);
 
+		// Check budgets and reserve the query's estimated cost
+		// (reject, or skip web search when degrading)
+		let budget;
+		({ reservation, ...budget } = budgetManager.reserve('solution2', {
+			threadId: finalThreadId,
+			clientId: req.ip,
+		}));
+		if (budget.action === 'reject') {
+			return res.status(429).json({
+				success: false,
+				error: budget.message,
+				budget,
+			});
+		}
+
 		console.log('\n' + '='.repeat(60));
 		console.log('📥 Received Solution 2 query request');
 		console.log(`   Query: ${sanitizedQuery}`);
@@ -45,7 +94,12 @@ router.post('/query', async (req, res) => {
 		console.log('='.repeat(60));
 
 		// Query using RAG service (with threadId for history)
-		const result = await ragService.query(sanitizedQuery, finalThreadId);
+		const result = await ragService.query(sanitizedQuery, finalThreadId, {
+			webSearch: budget.action !== 'degrade',
+			searchMode,
+			filters,
+		});
+		budgetManager.settle(reservation, result.totalCost);
 
 		// Log results
 		console.log(
@@ -60,12 +114,21 @@ router.post('/query', async (req, res) => {
 			data: {
 				fileSearchWithLLM: result.fileSearchWithLLM,
 				webSearch: result.webSearch,
+				condensedQuestion: result.condensedQuestion, // Follow-up rewritten as standalone question
+				cached: result.cached, // Answer reused from the semantic cache
+				cache: result.cache, // { similarity, cachedAt } when cached
 				model: result.fileSearchWithLLM.model, // LLM model used
+				retries: result.retries, // Retried transient failures per step
 				usage: result.usage, // LLM token usage
 				responseTime: result.responseTime, // Response time in seconds
+				budget: budgetManager.check('solution2', {
+					threadId: finalThreadId,
+					clientId: req.ip,
+				}),
 			},
 		});
 	} catch (error) {
+		budgetManager.release(reservation);
 		Logger.error('Solution 2 query error:', error);
 		return res.status(500).json({
 			success: false,
@@ -74,11 +137,243 @@ router.post('/query', async (req, res) => {
 	}
 });
 
+/**
+ * POST /api/solution2/query/stream
+ * Streaming query using RAG Chain - Server-Sent Events
+ * Optional body field searchMode: 'vector' | 'hybrid' (default: SOLUTION2_SEARCH_MODE or 'vector')
+ * Optional body field filters: { source, category, year } - only search matching chunks
+ * Over budget: 429 before streaming, or no web search when BUDGET_ON_EXCEEDED=degrade
+ *
+ * Events:
+ * - retrieval: { condensedQuestion, searchMode, filters, sourceDocument, sources, totalDocuments, webSearch } - Search results (sources: every chunk with page, score and url)
+ * - token: { token } - LLM answer token
+ * - done: { model, cost, notInDocuments, cached, cache, retries, usage, embeddingCost, responseTime, budget } - Final usage
+ * - error: { error } - Query failed
+ *
+ * A client disconnect aborts the answer stream; nothing is saved for that query
+ */
+router.post('/query/stream', async (req, res) => {
+	const { query, threadId, searchMode, filters } = req.body;
+
+	// Validate input (before switching to event stream)
+	if (!query || typeof query !== 'string' || query.trim().length === 0) {
+		return res.status(400).json({
+			success: false,
+			error: 'Query cannot be empty',
+		});
+	}
+
+	const searchModeValidation = Validators.validateSearchMode(searchMode);
+	if (!searchModeValidation.valid) {
+		return res.status(400).json({
+			success: false,
+			error: searchModeValidation.error,
+		});
+	}
+
+	const filtersValidation = Validators.validateSearchFilters(filters);
+	if (!filtersValidation.valid) {
+		return res.status(400).json({
+			success: false,
+			error: filtersValidation.error,
+		});
+	}
+
+	const finalThreadId = threadId || 'default';
+
+	const threadIdValidation = Validators.validateThreadId(finalThreadId);
+	if (!threadIdValidation.valid) {
+		return res.status(400).json({
+			success: false,
+			error: threadIdValidation.error,
+		});
+	}
+
+	const sanitizedQuery = Validators.sanitizeQuery(query);
+
+	// Check budgets and reserve the query's estimated cost
+	// (reject before streaming, or skip web search when degrading)
+	let budget;
+	let reservation;
+	try {
+		({ reservation, ...budget } = budgetManager.reserve('solution2', {
+			threadId: finalThreadId,
+			clientId: req.ip,
+		}));
+	} catch (error) {
+		Logger.error('Budget check failed:', error);
+		return res.status(500).json({
+			success: false,
+			error: error.message || 'Budget check failed',
+		});
+	}
+	if (budget.action === 'reject') {
+		return res.status(429).json({
+			success: false,
+			error: budget.message,
+			budget,
+		});
+	}
+
+	console.log('\n' + '='.repeat(60));
+	console.log('📥 Received Solution 2 streaming query request');
+	console.log(`   Query: ${sanitizedQuery}`);
+	console.log(`   Thread ID: ${finalThreadId}`);
+	console.log('='.repeat(60));
+
+	SSE.init(res);
+
+	// Stop the LLM stream (and its billing) when the client goes away
+	const abortController = new AbortController();
+	res.on('close', () => {
+		if (!res.writableEnded) {
+			abortController.abort();
+		}
+	});
+
+	try {
+		const result = await ragService.query(sanitizedQuery, finalThreadId, {
+			onEvent: (event, data) => SSE.send(res, event, data),
+			webSearch: budget.action !== 'degrade',
+			searchMode,
+			filters,
+			signal: abortController.signal,
+		});
+		// Aborted queries are settled with what was spent before the abort
+		budgetManager.settle(reservation, result.totalCost);
+
+		if (result.aborted) {
+			console.log(
+				`⏹️ Client disconnected, stream aborted - Thread: ${finalThreadId}`
+			);
+			return;
+		}
+
+		SSE.send(res, 'done', {
+			success: true,
+			model: result.fileSearchWithLLM.model,
+			cost: result.fileSearchWithLLM.cost,
+			notInDocuments: result.fileSearchWithLLM.notInDocuments,
+			cached: result.cached,
+			cache: result.cache,
+			retries: result.retries,
+			usage: result.usage,
+			embeddingCost: result.embeddingCost,
+			responseTime: result.responseTime,
+			budget: budgetManager.check('solution2', {
+				threadId: finalThreadId,
+				clientId: req.ip,
+			}),
+		});
+	} catch (error) {
+		budgetManager.release(reservation);
+		Logger.error('Solution 2 streaming query error:', error);
+		SSE.send(res, 'error', {
+			success: false,
+			error: error.error?.message || error.message || 'Query failed',
+		});
+	} finally {
+		SSE.end(res);
+	}
+});
+
+/**
+ * POST /api/solution2/agent
+ * Query using LangGraph ReAct Agent (Gemini first, OpenAI fallback)
+ * Agent message state is checkpointed per thread
+ * Over budget: always 429 (the agent has no cheaper mode - use /query)
+ */
+router.post('/agent', async (req, res) => {
+	let reservation = null;
+
+	try {
+		const { query, threadId } = req.body;
+
+		// Validate input
+		if (!query || typeof query !== 'string' || query.trim().length === 0) {
+			return res.status(400).json({
+				success: false,
+				error: 'Query cannot be empty',
+			});
+		}
+
+		const finalThreadId = threadId || 'default';
+
+		// Validate thread ID
+		const threadIdValidation = Validators.validateThreadId(finalThreadId);
+		if (!threadIdValidation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: threadIdValidation.error,
+			});
+		}
+
+		// Sanitize query
+		const sanitizedQuery = Validators.sanitizeQuery(query);
+
+		// Check budgets and reserve the query's estimated cost
+		// (agent mode has no cheaper mode to degrade to)
+		let budget;
+		({ reservation, ...budget } = budgetManager.reserve('solution2', {
+			threadId: finalThreadId,
+			clientId: req.ip,
+		}));
+		if (budget.action !== 'allow') {
+			budgetManager.release(reservation);
+			return res.status(429).json({
+				success: false,
+				error: `${budget.message} - agent mode unavailable`,
+				budget,
+			});
+		}
+
+		console.log('\n' + '='.repeat(60));
+		console.log('📥 Received Solution 2 agent request');
+		console.log(`   Query: ${sanitizedQuery}`);
+		console.log(`   Thread ID: ${finalThreadId}`);
+		console.log('='.repeat(60));
+
+		const result = await agentService.query(sanitizedQuery, finalThreadId);
+		budgetManager.settle(reservation, result.totalCost);
+
+		return res.json({
+			success: true,
+			data: {
+				answer: result.answer,
+				model: result.model, // Model actually used
+				provider: result.provider, // LLM provider that answered
+				cost: result.cost,
+				fallback: result.fallback, // Whether a lower-priority provider was used
+				fallbackReason: result.fallbackReason,
+				usage: result.usage,
+				searchResults: result.searchResults,
+				responseTime: result.responseTime,
+				budget: budgetManager.check('solution2', {
+					threadId: finalThreadId,
+					clientId: req.ip,
+				}),
+			},
+		});
+	} catch (error) {
+		// Failed provider attempts may still have been paid for
+		if (error.totalCost > 0) {
+			budgetManager.settle(reservation, error.totalCost);
+		} else {
+			budgetManager.release(reservation);
+		}
+		Logger.error('Solution 2 agent error:', error);
+		return res.status(500).json({
+			success: false,
+			error: error.message || 'Agent query failed',
+		});
+	}
+});
+
 /**
  * GET /api/solution2/history/:threadId
  * Get conversation history
  */
-router.get('/history/:threadId', (req, res) => {
+router.get('/history/:threadId', async (req, res) => {
 	try {
 		const { threadId } = req.params;
 		const { limit } = req.query;
@@ -92,11 +387,11 @@ router.get('/history/:threadId', (req, res) => {
 			});
 		}
 
-		const history = memoryService.getHistory(
+		const history = await memoryService.getHistory(
 			threadId,
 			limit ? parseInt(limit) : null
 		);
-		const summary = memoryService.getConversationSummary(threadId);
+		const summary = await memoryService.getConversationSummary(threadId);
 
 		res.json({
 			success: true,
@@ -118,7 +413,7 @@ router.get('/history/:threadId', (req, res) => {
  * DELETE /api/solution2/history/:threadId
  * Clear conversation history
  */
-router.delete('/history/:threadId', (req, res) => {
+router.delete('/history/:threadId', async (req, res) => {
 	try {
 		const { threadId } = req.params;
 
@@ -130,7 +425,7 @@ router.delete('/history/:threadId', (req, res) => {
 			});
 		}
 
-		const cleared = memoryService.clearHistory(threadId);
+		const cleared = await memoryService.clearHistory(threadId);
 
 		res.json({
 			success: true,
@@ -152,9 +447,9 @@ router.delete('/history/:threadId', (req, res) => {
  * GET /api/solution2/statistics
  * Get usage statistics
  */
-router.get('/statistics', (req, res) => {
+router.get('/statistics', async (req, res) => {
 	try {
-		const stats = memoryService.getStatistics();
+		const stats = await memoryService.getStatistics();
 		res.json({
 			success: true,
 			statistics: stats,
@@ -168,6 +463,270 @@ router.get('/statistics', (req, res) => {
 	}
 });
 
+/**
+ * GET /api/solution2/budget?threadId=
+ * Budget status: limits, spend and remaining budget (thread, client, daily, global)
+ */
+router.get('/budget', async (req, res) => {
+	try {
+		const threadId = req.query.threadId || 'default';
+
+		const validation = Validators.validateThreadId(threadId);
+		if (!validation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: validation.error,
+			});
+		}
+
+		res.json({
+			success: true,
+			budget: budgetManager.check('solution2', {
+				threadId,
+				clientId: req.ip,
+			}),
+		});
+	} catch (error) {
+		Logger.error('Failed to get budget:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'getBudget',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
+/**
+ * GET /api/solution2/providers
+ * Agent LLM provider health: priority order, circuit breaker state, recent switches
+ */
+router.get('/providers', (req, res) => {
+	try {
+		res.json({
+			success: true,
+			...agentService.getProviderHealth(),
+		});
+	} catch (error) {
+		Logger.error('Failed to get provider health:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'getProviderHealth',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
+/**
+ * GET /api/solution2/usage?threadId=&since=&until=
+ * Usage report: calls per model, free vs paid, tokens, embedding cost, web searches
+ * Optional filters: threadId, time window (since inclusive, until exclusive, ISO 8601)
+ */
+router.get('/usage', async (req, res) => {
+	try {
+		const { threadId, since, until } = req.query;
+
+		if (threadId !== undefined) {
+			const threadIdValidation = Validators.validateThreadId(threadId);
+			if (!threadIdValidation.valid) {
+				return res.status(400).json({
+					success: false,
+					error: threadIdValidation.error,
+				});
+			}
+		}
+
+		const windowValidation = Validators.validateTimeWindow(since, until);
+		if (!windowValidation.valid) {
+			return res.status(400).json({
+				success: false,
+				error: windowValidation.error,
+			});
+		}
+
+		const report = await memoryService.getUsageReport({
+			threadId: threadId || null,
+			since: since ? new Date(since) : null,
+			until: until ? new Date(until) : null,
+		});
+
+		res.json({
+			success: true,
+			usage: report,
+			// In-process counters since server start (not filtered)
+			sinceServerStart: {
+				rag: ragService.getUsageStats(),
+				agent: agentService.getUsageStats(),
+				embeddingCache: pdfService.getEmbeddingCacheStats(), // Query embedding hits/misses
+			},
+		});
+	} catch (error) {
+		Logger.error('Failed to get usage report:', error);
+		const errorResponse = ErrorHandler.handle(error, {
+			operation: 'getUsageReport',
+		});
+		res.status(500).json(errorResponse);
+	}
+});
+
+/**
+ * POST /api/solution2/documents
+ * Ingest a PDF (multipart field "file") into the Supabase vector store (admin only: X-Admin-Token header)
+ * Optional fields category and year are stored on every chunk (for query filters)
+ * Every upload gets its own documentId (files may share a name)
+ * Responds 409 if a document with the same content was already ingested
+ */
+router.post('/documents', (req, res) => {
+	const validation = Validators.validateAdminToken(req.get('X-Admin-Token'));
+	if (!validation.valid) {
+		return res.status(403).json({
+			success: false,
+			error: validation.error,
+		});
+	}
+
+	upload.single('file')(req, res, async (uploadError) => {
+		try {
+			if (uploadError) {
+				return res.status(400).json({
+					success: false,
+					error:
+						uploadError.code === 'LIMIT_FILE_SIZE'
+							? 'File size exceeds the maximum allowed limit'
+							: uploadError.message,
+				});
+			}
+
+			// Validate file (size and type)
+			const validation = Validators.validateFile(req.file);
+			if (!validation.valid) {
+				return res.status(400).json({
+					success: false,
+					error: validation.error,
+				});
+			}
+
+			// Optional tags - multipart fields arrive as strings
+			const { category, year } = req.body;
+			const tags = {
+				...(category ? { category: category.trim() } : {}),
+				...(year ? { year: Number(year) } : {}),
+			};
+			const tagsValidation = Validators.validateSearchFilters(tags);
+			if (!tagsValidation.valid) {
+				return res.status(400).json({
+					success: false,
+					error: tagsValidation.error,
+				});
+			}
+
+			console.log('\n' + '='.repeat(60));
+			console.log('📥 Received Solution 2 document ingestion request');
+			console.log(`   File: ${req.file.originalname} (${req.file.size} bytes)`);
+			console.log('='.repeat(60));
+
+			const result = await ingestionService.ingestPDF(
+				req.file.buffer,
+				req.file.originalname,
+				tags
+			);
+
+			// Cached answers may be outdated by the new document
+			if (result.success) {
+				answerCache.invalidate('solution2');
+			}
+
+			return res.status(result.duplicate ? 409 : 201).json(result);
+		} catch (error) {
+			Logger.error('Document ingestion failed:', error);
+			return res.status(500).json({
+				success: false,
+				error: error.message || 'Document ingestion failed',
+			});
+		}
+	});
+});
+
+/**
+ * GET /api/solution2/documents
+ * List ingested documents (grouped by metadata.documentId)
+ */
+router.get('/documents', async (req, res) => {
+	try {
+		const documents = await ingestionService.listDocuments();
+
+		res.json({
+			success: true,
+			totalDocuments: documents.length,
+			totalChunks: documents.reduce((sum, doc) => sum + doc.chunks, 0),
+			documents,
+		});
+	} catch (error) {
+		Logger.error('Failed to list documents:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message || 'Failed to list documents',
+		});
+	}
+});
+
+/**
+ * DELETE /api/solution2/documents/:documentId
+ * Delete every chunk of one document (admin only: X-Admin-Token header)
+ * documentId comes from GET /documents; documents listed without one are deleted by source (URL-encoded)
+ */
+router.delete('/documents/:documentId', async (req, res) => {
+	const validation = Validators.validateAdminToken(req.get('X-Admin-Token'));
+	if (!validation.valid) {
+		return res.status(403).json({
+			success: false,
+			error: validation.error,
+		});
+	}
+
+	try {
+		const { documentId } = req.params;
+
+		const deletedChunks = await ingestionService.deleteDocument(documentId);
+
+		if (!deletedChunks) {
+			return res.status(404).json({
+				success: false,
+				error: `No chunks found for document: ${documentId}`,
+			});
+		}
+
+		answerCache.invalidate('solution2');
+
+		res.json({
+			success: true,
+			documentId,
+			deletedChunks,
+		});
+	} catch (error) {
+		Logger.error('Failed to delete document:', error);
+		res.status(500).json({
+			success: false,
+			error: error.message || 'Failed to delete document',
+		});
+	}
+});
+
+/**
+ * DELETE /api/solution2/cache
+ * Clear cached Solution 2 answers (admin only: X-Admin-Token header)
+ * Document ingestion and deletion clear it automatically
+ */
+router.delete('/cache', (req, res) => {
+	const validation = Validators.validateAdminToken(req.get('X-Admin-Token'));
+	if (!validation.valid) {
+		return res.status(403).json({
+			success: false,
+			error: validation.error,
+		});
+	}
+
+	const removed = answerCache.invalidate('solution2');
+	return res.json({ success: true, removed });
+});
+
 /**
  * POST /api/solution2/initialize
  * Initialize RAG Service (optional, auto-initializes)
@@ -7,7 +7,7 @@ import { LLMService } from './llmService.js';
 import { pdfService } from './pdfService.js';
 import { memoryService } from './memoryService.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
-import { OPENAI_MODELS } from '../../shared/config/constants.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
 
 /**
  * Agent Service Class
@@ -16,10 +16,20 @@ import { OPENAI_MODELS } from '../../shared/config/constants.js';
 class AgentService {
 	constructor() {
 		this.llmService = new LLMService();
-		this.agent = null;
-		this.fallbackAgent = null;
+		this.agents = new Map(); // Provider name -> Agent (created on first use)
+		this.threadRuns = new Map(); // Thread ID -> latest queued run (Promise)
+		this.tools = null;
 		this.isInitialized = false;
-		this.lastSearchResults = {}; // Store search results for retrieval
+	}
+
+	/**
+	 * Search results collected by the tools of one agent run
+	 * (passed in the run config, so concurrent queries never share results)
+	 * @param {Object} config - Tool run config
+	 * @returns {Object} { fileSearch, webSearch, webSearchCalls } (throwaway object outside a query)
+	 */
+	getSearchResults(config) {
+		return config?.configurable?.searchResults || {};
 	}
 
 	/**
@@ -28,13 +38,13 @@ class AgentService {
 	createPDFSearchTool() {
 		const self = this;
 		return tool(
-			async ({ query }) => {
+			async ({ query }, config) => {
 				try {
 					console.log(`🔍 PDF Search Tool invoked with query: "${query}"`);
 					const result = await pdfService.search(query, 4);
 
 					// Store search results for later retrieval
-					self.lastSearchResults.fileSearch = {
+					self.getSearchResults(config).fileSearch = {
 						query: query,
 						documents: result.documents || [],
 						timestamp: new Date().toISOString(),
@@ -77,7 +87,7 @@ class AgentService {
 
 		// Wrap the tool to capture search results
 		return tool(
-			async ({ query }) => {
+			async ({ query }, config) => {
 				try {
 					console.log(`🌐 Web Search Tool invoked with query: "${query}"`);
 					const results = await tavilyTool.invoke(query);
@@ -100,14 +110,14 @@ class AgentService {
 					}
 
 					// Store search results
-					if (!self.lastSearchResults) {
-						self.lastSearchResults = {};
-					}
-					self.lastSearchResults.webSearch = {
+					const searchResults = self.getSearchResults(config);
+					searchResults.webSearch = {
 						query: query,
 						results: parsedResults,
 						timestamp: new Date().toISOString(),
 					};
+					searchResults.webSearchCalls =
+						(searchResults.webSearchCalls || 0) + 1;
 
 					console.log(`✅ Web Search found ${parsedResults.length} results`);
 
@@ -176,25 +186,11 @@ IMPORTANT INSTRUCTIONS:
 			// Create tools
 			const pdfTool = this.createPDFSearchTool();
 			const webTool = this.createWebSearchTool();
-			const tools = [pdfTool, webTool];
-
-			const systemMessage = this.getSystemMessage();
-
-			// Create main Agent (using free Gemini)
-			this.agent = createReactAgent({
-				llm: this.llmService.getLLM(false), // Use Gemini (free)
-				tools: tools,
-				checkpointer: memoryService.getCheckpointer(),
-				messageModifier: systemMessage,
-			});
-
-			// Create fallback Agent (using cheapest OpenAI model)
-			this.fallbackAgent = createReactAgent({
-				llm: this.llmService.getLLM(true), // Use cheapest OpenAI model
-				tools: tools,
-				checkpointer: memoryService.getCheckpointer(),
-				messageModifier: systemMessage,
-			});
+			this.tools = [pdfTool, webTool];
+
+			// Create main Agent (fallback Agents are created when failover needs them)
+			const [primary] = this.llmService.getProviderNames();
+			this.getAgent(primary);
 
 			this.isInitialized = true;
 			console.log('✅ Langchain Agent initialized successfully');
@@ -204,94 +200,290 @@ IMPORTANT INSTRUCTIONS:
 		}
 	}
 
+	/**
+	 * Get (or create) the Agent of an LLM provider
+	 * @param {string} name - Provider name
+	 * @returns {Object} Agent
+	 */
+	getAgent(name) {
+		if (!this.agents.has(name)) {
+			const [primary] = this.llmService.getProviderNames();
+			this.agents.set(
+				name,
+				createReactAgent({
+					llm: this.llmService.getLLM(name, name === primary ? '' : 'Fallback'),
+					tools: this.tools,
+					checkpointer: memoryService.getCheckpointer(),
+					messageModifier: this.getSystemMessage(),
+				})
+			);
+		}
+		return this.agents.get(name);
+	}
+
+	/**
+	 * Provider health: priority order, circuit breaker state, recent switches
+	 */
+	getProviderHealth() {
+		return this.llmService.getProviderHealth();
+	}
+
 	/**
 	 * Query Agent
+	 * Queries of the same thread run one after another: rolling back a failed attempt
+	 * removes every checkpoint added since the run started, which must not include
+	 * another run's
 	 * @param {string} query - User query
 	 * @param {string} threadId - Conversation thread ID
 	 */
 	async query(query, threadId = 'default') {
+		const previous = this.threadRuns.get(threadId) || Promise.resolve();
+		const run = previous.then(() => this.runQuery(query, threadId));
+		const queued = run.catch(() => {}); // A failed run does not block the next
+		this.threadRuns.set(threadId, queued);
+
+		try {
+			return await run;
+		} finally {
+			if (this.threadRuns.get(threadId) === queued) {
+				this.threadRuns.delete(threadId);
+			}
+		}
+	}
+
+	/**
+	 * Run one agent query (see query())
+	 * @param {string} query - User query
+	 * @param {string} threadId - Conversation thread ID
+	 */
+	async runQuery(query, threadId) {
+		let failedWebSearchCalls = 0; // Paid even when the attempt failed
+		const failedUsage = { inputTokens: 0, outputTokens: 0, cost: 0 }; // Tokens of failed attempts, also paid
+
 		try {
 			// Ensure Agent is initialized
 			if (!this.isInitialized) {
 				await this.initialize();
 			}
 
+			const startTime = Date.now();
 			const config = memoryService.getConfig(threadId);
+			// Thread state before the query - every provider attempt starts from it
+			const checkpointKeys = memoryService.getCheckpointKeys(threadId);
+			let runResults = {}; // Search results of the current attempt
 
 			console.log(`\n📝 Processing query: "${query}"`);
 			console.log(`🔄 Using thread ID: ${threadId}`);
 
-			let result;
-			let usedModel = 'gemini-2.0-flash-exp';
-			let cost = 'free';
-			let fallback = false;
-
-			try {
-				// Try using Gemini Agent
-				console.log('🔹 Trying free Gemini model...');
-				result = await this.agent.invoke(
-					{ messages: [new HumanMessage(query)] },
-					config
-				);
-			} catch (error) {
-				// If Gemini fails, fallback to cheapest OpenAI model
-				console.warn(
-					'⚠️ Gemini Agent failed, falling back to cheapest OpenAI model:',
-					error.message
-				);
-
-				result = await this.fallbackAgent.invoke(
-					{ messages: [new HumanMessage(query)] },
-					config
-				);
-
-				usedModel = OPENAI_MODELS.CHEAPEST;
-				cost = 'paid';
-				fallback = true;
-			}
+			// Providers in priority order, skipping those with an open circuit
+			const { result, provider, fallback, fallbackReason } =
+				await this.llmService.callWithFailover(async (name) => {
+					console.log(`🔹 Trying ${name} model...`);
+					runResults = {};
+					const attemptUsage = { inputTokens: 0, outputTokens: 0 };
+					try {
+						return await this.getAgent(name).invoke(
+							{ messages: [new HumanMessage(query)] },
+							{
+								...config,
+								configurable: {
+									...config.configurable,
+									searchResults: runResults,
+								},
+								callbacks: [this.createUsageCounter(attemptUsage)],
+							}
+						);
+					} catch (error) {
+						// Bill the LLM calls the failed attempt completed
+						const { model } = this.llmService.getProvider(name);
+						if (attemptUsage.inputTokens + attemptUsage.outputTokens > 0) {
+							this.llmService.logUsage(model, attemptUsage, name);
+							failedUsage.inputTokens += attemptUsage.inputTokens;
+							failedUsage.outputTokens += attemptUsage.outputTokens;
+							failedUsage.cost += CostCalculator.chatCost(
+								model,
+								attemptUsage.inputTokens,
+								attemptUsage.outputTokens,
+								name
+							);
+						}
+
+						// Drop the failed attempt's question and unanswered tool calls
+						memoryService.rollbackCheckpoint(threadId, checkpointKeys);
+						failedWebSearchCalls += runResults.webSearchCalls || 0;
+						throw error;
+					}
+				});
+			const usedModel = provider.model;
+			const cost = this.llmService.getCostTier(provider.name);
 
 			// Extract answer
 			const messages = result.messages || [];
 			const lastMessage = messages[messages.length - 1];
-			const answer = lastMessage?.content || 'Failed to generate answer';
-
-			// Get search results
+			const answer =
+				this.getMessageText(lastMessage) || 'Failed to generate answer';
+			const runUsage = this.getRunUsage(messages, usedModel, provider.name);
+			this.llmService.logUsage(usedModel, runUsage, provider.name);
+			const usage = this.addFailedUsage(
+				runUsage,
+				CostCalculator.chatCost(
+					usedModel,
+					runUsage.inputTokens,
+					runUsage.outputTokens,
+					provider.name
+				),
+				failedUsage
+			);
+
+			// Search results of the answering attempt
+			const webSearchCalls =
+				(runResults.webSearchCalls || 0) + failedWebSearchCalls;
 			const searchResults = {
-				fileSearch: this.lastSearchResults.fileSearch || null,
-				webSearch: this.lastSearchResults.webSearch || null,
+				fileSearch: runResults.fileSearch || null,
+				webSearch: runResults.webSearch || null,
 			};
 
-			// Save conversation
-			memoryService.saveConversation(threadId, query, answer, {
-				model: usedModel,
-				cost: cost,
-				fallback: fallback,
-			});
+			const responseTime = (Date.now() - startTime) / 1000;
 
-			// Clear search results for next query
-			this.lastSearchResults = {};
+			// Save conversation
+			await memoryService.saveResponse(
+				threadId,
+				query,
+				answer,
+				searchResults.webSearch?.results?.[0]?.content || '',
+				usage,
+				{
+					model: usedModel,
+					responseTime: responseTime,
+					cost: cost,
+					fallback: fallback,
+					mode: 'agent',
+					webSearchCalls: webSearchCalls,
+					webSearchCost: CostCalculator.format(
+						CostCalculator.toolCost('tavily_search', webSearchCalls)
+					),
+				}
+			);
 
 			console.log(`✅ Query completed, using model: ${usedModel} (${cost})`);
+			console.log(`⏱️ Response time: ${responseTime.toFixed(2)}s`);
 
 			return {
 				answer: answer,
 				model: usedModel,
+				provider: provider.name,
 				cost: cost,
 				fallback: fallback,
+				fallbackReason: fallbackReason,
 				threadId: threadId,
+				usage: usage,
+				totalCost: memoryService.getEntryCost({ usage, webSearchCalls }), // LLM + web search (USD, for budgets)
 				searchResults: searchResults,
+				responseTime: responseTime,
 			};
 		} catch (error) {
 			console.error('❌ Query failed:', error);
-			throw ErrorHandler.handle(error, { query, threadId });
+			throw {
+				...ErrorHandler.handle(error, { query, threadId }),
+				// What the failed attempts spent (USD, for budgets)
+				totalCost:
+					failedUsage.cost +
+					CostCalculator.toolCost('tavily_search', failedWebSearchCalls),
+			};
 		}
 	}
 
+	/**
+	 * Get plain text from a message (Gemini may return content parts)
+	 */
+	getMessageText(message) {
+		if (!message) return '';
+		if (typeof message.content === 'string') return message.content;
+		if (Array.isArray(message.content)) {
+			return message.content
+				.filter((part) => part.type === 'text')
+				.map((part) => part.text)
+				.join('');
+		}
+		return '';
+	}
+
+	/**
+	 * Sum token usage of the AI messages produced by the latest run
+	 * (the checkpointer returns the whole thread, so start after the last human message)
+	 */
+	getRunUsage(messages, model, provider = null) {
+		let lastHumanIndex = -1;
+		messages.forEach((message, index) => {
+			if (message._getType?.() === 'human') {
+				lastHumanIndex = index;
+			}
+		});
+
+		let inputTokens = 0;
+		let outputTokens = 0;
+		messages.slice(lastHumanIndex + 1).forEach((message) => {
+			if (message.usage_metadata) {
+				inputTokens += message.usage_metadata.input_tokens || 0;
+				outputTokens += message.usage_metadata.output_tokens || 0;
+			}
+		});
+
+		return {
+			inputTokens,
+			outputTokens,
+			cost: CostCalculator.format(
+				CostCalculator.chatCost(model, inputTokens, outputTokens, provider)
+			),
+		};
+	}
+
+	/**
+	 * Callback handler that adds the token usage of every completed LLM call to a counter
+	 * (the checkpoint of a failed attempt is rolled back, so its messages cannot be used)
+	 * @param {Object} usage - { inputTokens, outputTokens } counter
+	 * @returns {Object} LangChain callback handler
+	 */
+	createUsageCounter(usage) {
+		return {
+			handleLLMEnd(output) {
+				output.generations.flat().forEach(({ message }) => {
+					usage.inputTokens += message?.usage_metadata?.input_tokens || 0;
+					usage.outputTokens += message?.usage_metadata?.output_tokens || 0;
+				});
+			},
+		};
+	}
+
+	/**
+	 * Add the tokens of failed provider attempts to the answering run's usage
+	 * @param {Object} usage - Usage of the answering run { inputTokens, outputTokens, cost }
+	 * @param {number} runCost - Cost of the answering run (USD)
+	 * @param {Object} failedUsage - { inputTokens, outputTokens, cost (USD) } of failed attempts
+	 * @returns {Object} Total usage, with failedAttempts when they used tokens
+	 */
+	addFailedUsage(usage, runCost, failedUsage) {
+		if (failedUsage.inputTokens + failedUsage.outputTokens === 0) {
+			return usage;
+		}
+
+		return {
+			inputTokens: usage.inputTokens + failedUsage.inputTokens,
+			outputTokens: usage.outputTokens + failedUsage.outputTokens,
+			cost: CostCalculator.format(runCost + failedUsage.cost),
+			failedAttempts: {
+				inputTokens: failedUsage.inputTokens,
+				outputTokens: failedUsage.outputTokens,
+				cost: CostCalculator.format(failedUsage.cost),
+			},
+		};
+	}
+
 	/**
 	 * Get conversation history
 	 */
 	getHistory(threadId = 'default') {
-		return memoryService.getConversationHistory(threadId);
+		return memoryService.getHistory(threadId);
 	}
 
 	/**
@@ -0,0 +1,277 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Conversation Stores - Solution 2
+ * Storage backends for MemoryService (async API)
+ *
+ * - InMemoryConversationStore: Map only, lost on restart
+ * - SupabaseConversationStore: `conversations` + `messages` tables
+ *   (see supabase/sql-setup.sql), shared by all server instances
+ *
+ * Conversation shape: { threadId, history: [entry], createdAt, lastUpdated }
+ * Entry shape: { query, fileAnswer, webAnswer, usage, timestamp, ...metadata }
+ */
+
+/**
+ * In-memory store - plain Map
+ */
+class InMemoryConversationStore {
+	constructor() {
+		this.conversations = new Map();
+	}
+
+	async getConversation(threadId) {
+		return this.conversations.get(threadId) || null;
+	}
+
+	async getConversations() {
+		return Array.from(this.conversations.values());
+	}
+
+	async getThreadIds() {
+		return Array.from(this.conversations.keys());
+	}
+
+	async appendEntry(threadId, entry) {
+		if (!this.conversations.has(threadId)) {
+			this.conversations.set(threadId, {
+				threadId,
+				history: [],
+				createdAt: entry.timestamp,
+				lastUpdated: entry.timestamp,
+			});
+		}
+
+		const conversation = this.conversations.get(threadId);
+		conversation.history.push(entry);
+		conversation.lastUpdated = entry.timestamp;
+	}
+
+	async deleteConversation(threadId) {
+		return this.conversations.delete(threadId);
+	}
+
+	async deleteConversationsBefore(cutoff) {
+		const deleted = [];
+		for (const [threadId, conversation] of this.conversations.entries()) {
+			if (new Date(conversation.lastUpdated) < cutoff) {
+				this.conversations.delete(threadId);
+				deleted.push(threadId);
+			}
+		}
+		return deleted;
+	}
+}
+
+/**
+ * Supabase store - Postgres tables accessed through the Supabase (PostgREST) client
+ *
+ * PostgREST returns at most `max-rows` rows per request (Supabase default: 1000),
+ * so reads are paged with range() instead of one select
+ */
+class SupabaseConversationStore {
+	/**
+	 * @param {Object} client - Supabase client (any PostgREST endpoint, e.g. `supabase start` locally)
+	 * @param {Object} options - Store options
+	 * @param {number} options.pageSize - Rows per request, at most the API's max-rows (default: 1000)
+	 */
+	constructor(client, { pageSize = 1000 } = {}) {
+		this.client = client;
+		this.pageSize = pageSize;
+	}
+
+	/**
+	 * Throw Supabase errors so callers see them
+	 */
+	static check({ data, error }) {
+		if (error) {
+			throw new Error(`Supabase conversation store: ${error.message}`);
+		}
+		return data;
+	}
+
+	/**
+	 * Map `conversations` row and its `messages` rows to conversation object
+	 */
+	static toConversation(row, messages = []) {
+		return {
+			threadId: row.thread_id,
+			createdAt: row.created_at,
+			lastUpdated: row.last_updated,
+			history: messages.map((message) => ({
+				query: message.query,
+				fileAnswer: message.file_answer,
+				webAnswer: message.web_answer,
+				usage: message.usage,
+				timestamp: message.created_at,
+				...message.metadata,
+			})),
+		};
+	}
+
+	/**
+	 * Read every row of a query, one page at a time
+	 * @param {Function} buildQuery - () => query builder with a stable order
+	 * @returns {Promise<Array>} All rows
+	 */
+	async selectAll(buildQuery) {
+		const rows = [];
+		for (let from = 0; ; from += this.pageSize) {
+			const page = SupabaseConversationStore.check(
+				await buildQuery().range(from, from + this.pageSize - 1)
+			);
+			rows.push(...page);
+			if (page.length < this.pageSize) {
+				return rows;
+			}
+		}
+	}
+
+	/**
+	 * Messages in conversation order (optionally of one thread)
+	 */
+	selectMessages(threadId = null) {
+		return this.selectAll(() => {
+			const query = this.client.from('messages').select('*');
+			return (threadId ? query.eq('thread_id', threadId) : query)
+				.order('created_at')
+				.order('id');
+		});
+	}
+
+	async getConversation(threadId) {
+		const rows = SupabaseConversationStore.check(
+			await this.client
+				.from('conversations')
+				.select('*')
+				.eq('thread_id', threadId)
+		);
+		if (rows.length === 0) {
+			return null;
+		}
+		return SupabaseConversationStore.toConversation(
+			rows[0],
+			await this.selectMessages(threadId)
+		);
+	}
+
+	async getConversations() {
+		const rows = await this.selectAll(() =>
+			this.client.from('conversations').select('*').order('thread_id')
+		);
+
+		const messagesByThread = new Map();
+		for (const message of await this.selectMessages()) {
+			if (!messagesByThread.has(message.thread_id)) {
+				messagesByThread.set(message.thread_id, []);
+			}
+			messagesByThread.get(message.thread_id).push(message);
+		}
+
+		return rows.map((row) =>
+			SupabaseConversationStore.toConversation(
+				row,
+				messagesByThread.get(row.thread_id)
+			)
+		);
+	}
+
+	async getThreadIds() {
+		const rows = await this.selectAll(() =>
+			this.client.from('conversations').select('thread_id').order('thread_id')
+		);
+		return rows.map((row) => row.thread_id);
+	}
+
+	async appendEntry(threadId, entry) {
+		const { query, fileAnswer, webAnswer, usage, timestamp, ...metadata } =
+			entry;
+
+		// Create conversation or bump last_updated (created_at keeps its default)
+		SupabaseConversationStore.check(
+			await this.client
+				.from('conversations')
+				.upsert(
+					{ thread_id: threadId, last_updated: timestamp },
+					{ onConflict: 'thread_id' }
+				)
+		);
+
+		SupabaseConversationStore.check(
+			await this.client.from('messages').insert({
+				thread_id: threadId,
+				query,
+				file_answer: fileAnswer,
+				web_answer: webAnswer,
+				usage,
+				metadata,
+				created_at: timestamp,
+			})
+		);
+	}
+
+	async deleteConversation(threadId) {
+		// Messages are removed by ON DELETE CASCADE
+		const rows = SupabaseConversationStore.check(
+			await this.client
+				.from('conversations')
+				.delete()
+				.eq('thread_id', threadId)
+				.select('thread_id')
+		);
+		return rows.length > 0;
+	}
+
+	async deleteConversationsBefore(cutoff) {
+		const rows = SupabaseConversationStore.check(
+			await this.client
+				.from('conversations')
+				.delete()
+				.lt('last_updated', cutoff.toISOString())
+				.select('thread_id')
+		);
+		return rows.map((row) => row.thread_id);
+	}
+}
+
+/**
+ * Create conversation store from environment configuration
+ * SOLUTION2_MEMORY_STORE=supabase|memory
+ * (default: supabase when SUPABASE_URL and SUPABASE_API_KEY are set, otherwise memory)
+ * @returns {InMemoryConversationStore|SupabaseConversationStore} Store instance
+ */
+function createConversationStore() {
+	const supabaseConfigured = Boolean(
+		process.env.SUPABASE_URL && process.env.SUPABASE_API_KEY
+	);
+	const type =
+		process.env.SOLUTION2_MEMORY_STORE ||
+		(supabaseConfigured ? 'supabase' : 'memory');
+
+	if (type === 'memory') {
+		return new InMemoryConversationStore();
+	}
+
+	if (type === 'supabase') {
+		if (!supabaseConfigured) {
+			throw new Error(
+				'SOLUTION2_MEMORY_STORE=supabase requires SUPABASE_URL and SUPABASE_API_KEY'
+			);
+		}
+		return new SupabaseConversationStore(
+			createClient(process.env.SUPABASE_URL, process.env.SUPABASE_API_KEY)
+		);
+	}
+
+	throw new Error(
+		`Unknown SOLUTION2_MEMORY_STORE "${type}" (expected "supabase" or "memory")`
+	);
+}
+
+export {
+	InMemoryConversationStore,
+	SupabaseConversationStore,
+	createConversationStore,
+};
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import path from 'path';
+import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { SupabaseVectorStore } from '@langchain/community/vectorstores/supabase';
+import { pdfService } from './pdfService.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+
+/**
+ * Ingestion Service
+ * Manages documents in the Supabase `embeddings` table
+ * - Ingest: PDFLoader → RecursiveCharacterTextSplitter → batched embeddings via
+ *   PDFService.embedBatch → Supabase (same as init-supabase-vector.js)
+ * - Every ingested document gets a unique metadata.documentId (file names may repeat)
+ * - Inventory: chunks grouped by metadata.documentId
+ * - Delete: remove every chunk of one document
+ *
+ * Uses its own vector store instance, so PDFService keeps answering queries during ingestion
+ */
+class IngestionService {
+	constructor() {
+		this.textSplitter = new RecursiveCharacterTextSplitter({
+			chunkSize: 1000,
+			chunkOverlap: 200,
+		});
+		this.inProgress = new Set(); // Content hashes currently being ingested
+	}
+
+	/**
+	 * Compute SHA-256 content hash of a file
+	 */
+	hashContent(buffer) {
+		return crypto.createHash('sha256').update(buffer).digest('hex');
+	}
+
+	/**
+	 * Find an already ingested document with the same content hash
+	 * @returns {Promise<Object|null>} Metadata of an existing chunk or null
+	 */
+	async findByContentHash(contentHash) {
+		const supabaseClient = pdfService.initializeSupabase();
+
+		const { data, error } = await supabaseClient
+			.from('embeddings')
+			.select('metadata')
+			.contains('metadata', { contentHash })
+			.limit(1);
+
+		if (error) {
+			throw new Error(`Duplicate check failed: ${error.message}`);
+		}
+
+		return data.length > 0 ? data[0].metadata : null;
+	}
+
+	/**
+	 * Load a PDF, split it into chunks and tag every chunk with its document
+	 * (also used by init-supabase-vector.js, so seeded and uploaded documents match the same filters)
+	 * @param {string|Blob} input - PDF path or content
+	 * @param {Object} metadata - Stored on every chunk; source is reduced to the file name
+	 *   (PDFLoader puts the full path in metadata.source, which a { source: 'FK.pdf' } filter never matches)
+	 * @returns {Promise<Object>} { pages, chunks }
+	 */
+	async loadChunks(input, metadata) {
+		// Load PDF (one document per page)
+		const docs = await new PDFLoader(input).load();
+		console.log(`✅ PDF loaded: ${docs.length} pages`);
+
+		// Split documents into chunks
+		const chunks = await this.textSplitter.splitDocuments(docs);
+		console.log(`✅ Created ${chunks.length} chunks`);
+
+		const source = path.basename(String(metadata.source).replace(/\\/g, '/'));
+		chunks.forEach((chunk) => {
+			chunk.metadata = { ...chunk.metadata, ...metadata, source };
+		});
+
+		return { pages: docs.length, chunks };
+	}
+
+	/**
+	 * Ingest a PDF into the Supabase vector store
+	 * @param {Buffer} buffer - PDF content
+	 * @param {string} fileName - Original file name (stored as metadata.source)
+	 * @param {Object} tags - Optional { category, year } stored on every chunk (query filters)
+	 * @returns {Promise<Object>} Ingestion result with the new documentId ({ duplicate: true } if already ingested)
+	 */
+	async ingestPDF(buffer, fileName, tags = {}) {
+		const contentHash = this.hashContent(buffer);
+
+		// Refuse concurrent uploads of the same file
+		if (this.inProgress.has(contentHash)) {
+			return {
+				success: false,
+				duplicate: true,
+				source: fileName,
+				contentHash,
+				message: 'This document is already being ingested',
+			};
+		}
+
+		this.inProgress.add(contentHash);
+
+		try {
+			console.log(`📥 Ingesting PDF: ${fileName}`);
+
+			const existing = await this.findByContentHash(contentHash);
+			if (existing) {
+				console.log(
+					`⚠️ Duplicate document (already ingested as ${existing.source})`
+				);
+				return {
+					success: false,
+					duplicate: true,
+					source: fileName,
+					existingSource: existing.source,
+					existingDocumentId: existing.documentId || null,
+					uploadedAt: existing.uploadedAt || null,
+					contentHash,
+					message: `This document is already ingested as ${existing.source}`,
+				};
+			}
+
+			// Tag every chunk with its document (unique id, file name), filter tags and upload time
+			const documentId = crypto.randomUUID();
+			const uploadedAt = new Date().toISOString();
+			const { pages, chunks } = await this.loadChunks(
+				new Blob([buffer], { type: 'application/pdf' }),
+				{ ...tags, documentId, source: fileName, uploadedAt, contentHash }
+			);
+
+			// Embed in batches
+			const embedded = await pdfService.embedBatch(
+				chunks.map((chunk) => chunk.pageContent)
+			);
+
+			// Insert (separate instance - does not touch PDFService's connection)
+			const vectorStore = new SupabaseVectorStore(
+				await pdfService.initializeEmbeddings(),
+				{
+					client: pdfService.initializeSupabase(),
+					tableName: 'embeddings',
+					queryName: 'match_embeddings',
+				}
+			);
+			await vectorStore.addVectors(embedded.embeddings, chunks);
+
+			console.log(
+				`✅ Ingested ${chunks.length} chunks from ${fileName} (${embedded.tokens} embedding tokens)`
+			);
+
+			return {
+				success: true,
+				duplicate: false,
+				documentId,
+				source: fileName,
+				pages,
+				chunks: chunks.length,
+				embeddingTokens: embedded.tokens,
+				...tags,
+				uploadedAt,
+				contentHash,
+			};
+		} catch (error) {
+			console.error('❌ Ingestion failed:', error);
+			throw ErrorHandler.handle(error, { fileName });
+		} finally {
+			this.inProgress.delete(contentHash);
+		}
+	}
+
+	/**
+	 * List documents in the embeddings table grouped by metadata.documentId
+	 * (chunks ingested without a documentId are grouped by metadata.source)
+	 * @returns {Promise<Array>} Documents with id, chunk count, page range, ingest date and filter tags
+	 */
+	async listDocuments() {
+		const supabaseClient = pdfService.initializeSupabase();
+		const pageSize = 1000; // PostgREST default max rows per request
+		const documents = new Map();
+
+		for (let from = 0; ; from += pageSize) {
+			// Select only the metadata fields needed (not content or vectors)
+			const { data, error } = await supabaseClient
+				.from('embeddings')
+				.select(
+					'documentId:metadata->>documentId, source:metadata->>source, page:metadata->loc->>pageNumber, uploadedAt:metadata->>uploadedAt, category:metadata->>category, year:metadata->year'
+				)
+				.order('id')
+				.range(from, from + pageSize - 1);
+
+			if (error) {
+				throw new Error(`Failed to list documents: ${error.message}`);
+			}
+
+			data.forEach((row) => {
+				const source = row.source || 'unknown';
+				const key = row.documentId || source;
+				if (!documents.has(key)) {
+					documents.set(key, {
+						documentId: row.documentId || null,
+						source,
+						chunks: 0,
+						firstPage: null,
+						lastPage: null,
+						uploadedAt: null,
+						category: row.category || null,
+						year: row.year ?? null,
+					});
+				}
+
+				const document = documents.get(key);
+				document.chunks++;
+
+				const page = row.page ? parseInt(row.page) : null;
+				if (page !== null) {
+					document.firstPage =
+						document.firstPage === null
+							? page
+							: Math.min(document.firstPage, page);
+					document.lastPage =
+						document.lastPage === null
+							? page
+							: Math.max(document.lastPage, page);
+				}
+
+				// Documents from init-supabase-vector.js have no uploadedAt
+				if (
+					row.uploadedAt &&
+					(!document.uploadedAt || row.uploadedAt < document.uploadedAt)
+				) {
+					document.uploadedAt = row.uploadedAt;
+				}
+			});
+
+			if (data.length < pageSize) {
+				break;
+			}
+		}
+
+		return Array.from(documents.values());
+	}
+
+	/**
+	 * Delete every chunk belonging to one document
+	 * Documents listed without a documentId (ingested before ids existed) are deleted by source
+	 * @param {string} documentId - metadata.documentId value (or metadata.source of such a document)
+	 * @returns {Promise<number>} Number of deleted chunks
+	 */
+	async deleteDocument(documentId) {
+		try {
+			const supabaseClient = pdfService.initializeSupabase();
+
+			let { error, count } = await supabaseClient
+				.from('embeddings')
+				.delete({ count: 'exact' })
+				.contains('metadata', { documentId });
+
+			if (!error && !count) {
+				({ error, count } = await supabaseClient
+					.from('embeddings')
+					.delete({ count: 'exact' })
+					.eq('metadata->>source', documentId)
+					.is('metadata->>documentId', null));
+			}
+
+			if (error) {
+				throw new Error(`Failed to delete document: ${error.message}`);
+			}
+
+			console.log(`🗑️ Deleted ${count} chunks of document ${documentId}`);
+			return count;
+		} catch (error) {
+			console.error('❌ Document deletion failed:', error);
+			throw ErrorHandler.handle(error, { documentId });
+		}
+	}
+}
+
+// Create singleton instance
+const ingestionService = new IngestionService();
+
+export { IngestionService, ingestionService };
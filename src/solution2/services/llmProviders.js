@@ -0,0 +1,290 @@
+import fs from 'fs';
+import path from 'path';
+import { ChatOpenAI } from '@langchain/openai';
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import {
+	OPENAI_MODELS,
+	GEMINI_MODELS,
+	LLM_PROVIDER_TYPES,
+} from '../../shared/config/constants.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
+
+// Built-in providers (overridable by config file and environment)
+const DEFAULT_PROVIDERS = {
+	openai: {
+		type: 'openai',
+		model: OPENAI_MODELS.CHEAPEST,
+		apiKeyEnv: 'OPENAI_API_KEY',
+		temperature: 0,
+	},
+	gemini: {
+		type: 'gemini',
+		model: GEMINI_MODELS.FLASH,
+		apiKeyEnv: 'GOOGLE_API_KEY',
+		temperature: 0,
+	},
+};
+
+// LLM_PROVIDER_<NAME>_<SETTING> environment variables
+const ENV_SETTINGS = {
+	TYPE: 'type',
+	MODEL: 'model',
+	BASE_URL: 'baseURL',
+	API_KEY: 'apiKey',
+	TEMPERATURE: 'temperature',
+	MAX_TOKENS: 'maxTokens',
+};
+const NUMERIC_SETTINGS = ['temperature', 'maxTokens'];
+
+/**
+ * LLM Provider Registry
+ * Named chat model configurations used by Solution 2 (RAG, reranker, agent)
+ *
+ * Provider config: { type, model, baseURL, apiKey | apiKeyEnv, temperature, maxTokens,
+ *   inputPerMillion, outputPerMillion }
+ * - type 'openai' | 'gemini' | 'openai-compatible' (any OpenAI-compatible server,
+ *   e.g. llama.cpp or Ollama - needs baseURL, priced $0 unless prices are set)
+ *
+ * Sources (later ones override earlier ones, per setting):
+ * 1. Built-in providers: openai (gpt-4o-mini), gemini (gemini-2.0-flash-exp)
+ * 2. JSON file at LLM_PROVIDERS_FILE: { "providers": { "<name>": { ...config } } }
+ * 3. Environment: LLM_PROVIDER_<NAME>_<TYPE|MODEL|BASE_URL|API_KEY|TEMPERATURE|MAX_TOKENS>
+ *
+ * Which provider a feature uses is chosen by name, e.g. SOLUTION2_LLM_PROVIDER
+ */
+class LLMProviderRegistry {
+	constructor() {
+		this.providers = null;
+		this.models = new Map(); // Provider name -> chat model instance
+	}
+
+	/**
+	 * Load provider configs (once, after .env has been loaded)
+	 * @returns {Map} Provider name -> config
+	 */
+	getProviders() {
+		if (this.providers) {
+			return this.providers;
+		}
+
+		const configs = JSON.parse(JSON.stringify(DEFAULT_PROVIDERS));
+		const merge = (name, config) => {
+			configs[name] = { ...configs[name], ...config };
+		};
+
+		// Config file
+		const filePath = process.env.LLM_PROVIDERS_FILE;
+		if (filePath) {
+			const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+			Object.entries(data.providers || {}).forEach(([name, config]) =>
+				merge(name, config)
+			);
+		}
+
+		// Environment
+		const pattern = new RegExp(
+			`^LLM_PROVIDER_([A-Z0-9_]+?)_(${Object.keys(ENV_SETTINGS).join('|')})$`
+		);
+		Object.entries(process.env).forEach(([key, value]) => {
+			const match = key.match(pattern);
+			if (!match || value === '') {
+				return;
+			}
+			const setting = ENV_SETTINGS[match[2]];
+			merge(match[1].toLowerCase(), {
+				[setting]: NUMERIC_SETTINGS.includes(setting)
+					? parseFloat(value)
+					: value,
+			});
+		});
+
+		this.providers = new Map();
+		Object.entries(configs).forEach(([name, config]) => {
+			const provider = this.normalize(name, config);
+			this.providers.set(name, provider);
+
+			// Configured prices, or $0 for self-hosted models not in the pricing table
+			// (registered per provider - another provider may serve the same model)
+			const hasPrices =
+				provider.inputPerMillion !== undefined ||
+				provider.outputPerMillion !== undefined;
+			if (hasPrices || !CostCalculator.getModelPricing(provider.model)) {
+				CostCalculator.registerModelPricing(
+					provider.model,
+					{
+						provider: name,
+						type: 'chat',
+						cost:
+							provider.inputPerMillion || provider.outputPerMillion
+								? 'paid'
+								: 'free',
+						inputPerMillion: provider.inputPerMillion || 0,
+						outputPerMillion: provider.outputPerMillion || 0,
+						note: `${provider.type} provider "${name}"`,
+					},
+					name
+				);
+			}
+		});
+
+		return this.providers;
+	}
+
+	/**
+	 * Validate and complete one provider config
+	 */
+	normalize(name, config) {
+		const type = config.type || (config.baseURL ? 'openai-compatible' : null);
+		if (!LLM_PROVIDER_TYPES.includes(type)) {
+			throw new Error(
+				`LLM provider "${name}": unknown type "${
+					config.type
+				}" (expected ${LLM_PROVIDER_TYPES.join(', ')})`
+			);
+		}
+		if (!config.model) {
+			throw new Error(`LLM provider "${name}": model is required`);
+		}
+		if (type === 'openai-compatible' && !config.baseURL) {
+			throw new Error(
+				`LLM provider "${name}": baseURL is required for openai-compatible`
+			);
+		}
+
+		return {
+			name,
+			type,
+			model: config.model,
+			baseURL: config.baseURL || null,
+			apiKey: config.apiKey || process.env[config.apiKeyEnv] || null,
+			apiKeyEnv: config.apiKeyEnv || null,
+			temperature: config.temperature ?? 0,
+			maxTokens: config.maxTokens ?? null,
+			inputPerMillion: config.inputPerMillion,
+			outputPerMillion: config.outputPerMillion,
+		};
+	}
+
+	/**
+	 * Get provider config
+	 * @param {string} name - Provider name
+	 * @returns {Object} Provider config
+	 */
+	getConfig(name) {
+		const provider = this.getProviders().get(name);
+		if (!provider) {
+			throw new Error(
+				`Unknown LLM provider "${name}". Configured: ${Array.from(
+					this.getProviders().keys()
+				).join(', ')}`
+			);
+		}
+		return provider;
+	}
+
+	/**
+	 * Check whether a provider can be used (API key or local base URL set)
+	 * @param {string} name - Provider name
+	 * @returns {boolean} True if usable
+	 */
+	isAvailable(name) {
+		const provider = this.getProviders().get(name);
+		if (!provider) {
+			return false;
+		}
+		// Local servers usually need no key
+		return provider.type === 'openai-compatible' || Boolean(provider.apiKey);
+	}
+
+	/**
+	 * Free/paid tier of a provider's model (from the pricing table)
+	 * @param {string} name - Provider name
+	 * @returns {string} 'free' | 'paid'
+	 */
+	getCostTier(name) {
+		return (
+			CostCalculator.getModelPricing(this.getConfig(name).model, name)?.cost ||
+			'paid'
+		);
+	}
+
+	/**
+	 * Get (cached) chat model of a provider
+	 * @param {string} name - Provider name
+	 * @returns {Object} LangChain chat model
+	 */
+	getChatModel(name) {
+		if (!this.models.has(name)) {
+			this.models.set(name, this.createChatModel(this.getConfig(name)));
+		}
+		return this.models.get(name);
+	}
+
+	/**
+	 * Create a LangChain chat model from a provider config
+	 * @param {Object} provider - Provider config
+	 * @param {Object} overrides - Extra model options (e.g. { maxRetries: 0 })
+	 */
+	createChatModel(provider, overrides = {}) {
+		if (provider.type === 'gemini') {
+			// The Gemini client throws on construction without a key
+			if (!provider.apiKey) {
+				throw new Error(
+					`LLM provider "${provider.name}": GOOGLE_API_KEY not configured`
+				);
+			}
+			return new ChatGoogleGenerativeAI({
+				modelName: provider.model,
+				temperature: provider.temperature,
+				apiKey: provider.apiKey,
+				...(provider.maxTokens ? { maxOutputTokens: provider.maxTokens } : {}),
+				...overrides,
+			});
+		}
+
+		// Without a key the OpenAI API only fails later, on every request
+		if (provider.type === 'openai' && !provider.apiKey) {
+			throw new Error(
+				`LLM provider "${provider.name}": ${
+					provider.apiKeyEnv || 'apiKey'
+				} not configured`
+			);
+		}
+
+		return new ChatOpenAI({
+			model: provider.model,
+			temperature: provider.temperature,
+			// OpenAI-compatible servers usually accept any key
+			apiKey: provider.apiKey || 'not-needed',
+			...(provider.maxTokens ? { maxTokens: provider.maxTokens } : {}),
+			...(provider.baseURL
+				? { configuration: { baseURL: provider.baseURL } }
+				: {}),
+			...overrides,
+		});
+	}
+
+	/**
+	 * Provider summary for logs and API responses (no API key)
+	 * @param {string} name - Provider name
+	 */
+	describe(name) {
+		const { type, model, baseURL, temperature, maxTokens } =
+			this.getConfig(name);
+		return {
+			name,
+			type,
+			model,
+			baseURL,
+			temperature,
+			maxTokens,
+			cost: this.getCostTier(name),
+			available: this.isAvailable(name),
+		};
+	}
+}
+
+// Create singleton instance
+const llmProviders = new LLMProviderRegistry();
+
+export { LLMProviderRegistry, llmProviders };
@@ -1,77 +1,252 @@
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
-import { ChatOpenAI } from '@langchain/openai';
 import { CostLogger } from '../utils/costLogger.js';
-import {
-	OPENAI_MODELS,
-	GEMINI_MODELS,
-	MODEL_COSTS,
-} from '../../shared/config/constants.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { llmProviders } from './llmProviders.js';
+import { Retry } from '../../shared/utils/retry.js';
+
+// Agent providers in priority order (first = primary, then fallbacks)
+const DEFAULT_AGENT_PROVIDERS = 'gemini,openai';
 
 /**
  * LLM Service Management Class
- * Prioritizes free Gemini models, falls back to cheapest OpenAI model when necessary
+ * Picks agent LLMs from the provider registry in priority order
+ * (SOLUTION2_AGENT_PROVIDERS, default: free Gemini first, cheapest OpenAI model as fallback)
+ *
+ * Failover: each provider has a circuit breaker. A call goes to the first provider
+ * whose circuit is closed and moves down the list on errors. The circuit opens after
+ * SOLUTION2_BREAKER_FAILURES consecutive provider errors (default 3 - rate limits, server
+ * and network errors; not bad requests) or a quota response, and
+ * the provider is tried again after SOLUTION2_BREAKER_COOLDOWN_SECONDS (default 60)
  */
 class LLMService {
 	constructor() {
-		// Prioritize free Gemini model
-		this.geminiModel = new ChatGoogleGenerativeAI({
-			modelName: GEMINI_MODELS.FLASH, // gemini-2.0-flash-exp
-			temperature: 0,
-			apiKey: process.env.GOOGLE_API_KEY,
-		});
-
-		// Backup: cheapest OpenAI model (only used when necessary)
-		this.openaiModel = new ChatOpenAI({
-			model: OPENAI_MODELS.CHEAPEST, // gpt-4o-mini
-			temperature: 0,
-			apiKey: process.env.OPENAI_API_KEY,
-		});
-
 		this.costLogger = new CostLogger();
+		this.breakers = new Map(); // Provider name -> CircuitBreaker
+		this.activeProvider = null; // Provider that answered the latest call
 	}
 
 	/**
-	 * Get LLM instance, prioritizing free model
-	 * @param {boolean} forceOpenAI - Force use of OpenAI (only when necessary)
-	 * @returns {Object} LLM instance
+	 * Agent provider names from SOLUTION2_AGENT_PROVIDERS, in priority order
+	 * @returns {Array<string>} Provider names
+	 */
+	getConfiguredNames() {
+		return (process.env.SOLUTION2_AGENT_PROVIDERS || DEFAULT_AGENT_PROVIDERS)
+			.split(',')
+			.map((name) => name.trim())
+			.filter(Boolean);
+	}
+
+	/**
+	 * Configured agent providers that can be used, in priority order
+	 * Providers without an API key (e.g. Gemini without GOOGLE_API_KEY) are skipped
+	 * @returns {Array<string>} Provider names
 	 */
-	getLLM(forceOpenAI = false) {
-		if (forceOpenAI) {
-			const modelInfo = MODEL_COSTS[OPENAI_MODELS.CHEAPEST];
-			this.costLogger.logPaidLLM(
-				modelInfo.provider,
-				OPENAI_MODELS.CHEAPEST,
-				`Cheapest OpenAI model - ${modelInfo.inputPrice} / ${modelInfo.outputPrice}`
+	getProviderNames() {
+		const names = this.getConfiguredNames();
+
+		// Fail early on typos instead of silently skipping them
+		names.forEach((name) => llmProviders.getConfig(name));
+
+		const available = names.filter((name) => llmProviders.isAvailable(name));
+		if (available.length === 0) {
+			throw new Error(
+				`No usable agent LLM provider (SOLUTION2_AGENT_PROVIDERS=${names.join(
+					','
+				)}) - check API keys`
 			);
-			return this.openaiModel;
 		}
+		return available;
+	}
 
-		// Default to free Gemini
-		this.costLogger.logFreeLLM('Google Gemini', GEMINI_MODELS.FLASH);
-		return this.geminiModel;
+	/**
+	 * Get provider config
+	 * @param {string} name - Provider name
+	 * @returns {Object} Provider config ({ name, type, model, ... })
+	 */
+	getProvider(name) {
+		return llmProviders.getConfig(name);
 	}
 
 	/**
-	 * Smart LLM selection: try Gemini, fallback to cheapest OpenAI model on failure
+	 * Free/paid tier of a provider
+	 * @param {string} name - Provider name
+	 * @returns {string} 'free' | 'paid'
 	 */
-	async getLLMWithFallback() {
-		try {
-			// First try using Gemini
-			this.costLogger.logFreeLLM('Google Gemini', GEMINI_MODELS.FLASH);
-			return this.geminiModel;
-		} catch (error) {
-			console.warn(
-				'Gemini unavailable, falling back to cheapest OpenAI model:',
-				error.message
+	getCostTier(name) {
+		return llmProviders.getCostTier(name);
+	}
+
+	/**
+	 * Get LLM instance of a provider
+	 * @param {string} name - Provider name
+	 * @param {string} context - Why the provider is used (for the cost log)
+	 * @returns {Object} LLM instance
+	 */
+	getLLM(name, context = '') {
+		const provider = this.getProvider(name);
+
+		if (this.getCostTier(name) === 'free') {
+			this.costLogger.logFreeLLM(provider.name, provider.model, context);
+		} else {
+			this.costLogger.logPaidLLM(provider.name, provider.model, context);
+		}
+
+		return llmProviders.getChatModel(name);
+	}
+
+	/**
+	 * Get (or create) the circuit breaker of a provider
+	 * @param {string} name - Provider name
+	 * @returns {CircuitBreaker} Breaker
+	 */
+	getBreaker(name) {
+		if (!this.breakers.has(name)) {
+			const failureThreshold = parseInt(
+				process.env.SOLUTION2_BREAKER_FAILURES || '3',
+				10
 			);
-			const modelInfo = MODEL_COSTS[OPENAI_MODELS.CHEAPEST];
-			this.costLogger.logPaidLLM(
-				modelInfo.provider,
-				OPENAI_MODELS.CHEAPEST,
-				`Fallback - Cheapest OpenAI model (${modelInfo.inputPrice} / ${modelInfo.outputPrice})`
+			const cooldownSeconds = parseFloat(
+				process.env.SOLUTION2_BREAKER_COOLDOWN_SECONDS || '60'
+			);
+			this.breakers.set(
+				name,
+				new CircuitBreaker(name, {
+					failureThreshold: failureThreshold > 0 ? failureThreshold : 3,
+					cooldownMs: (cooldownSeconds >= 0 ? cooldownSeconds : 60) * 1000,
+				})
 			);
-			return this.openaiModel;
 		}
+		return this.breakers.get(name);
+	}
+
+	/**
+	 * Smart LLM selection: highest-priority provider whose circuit is closed
+	 * (falls back to the primary provider when every circuit is open)
+	 */
+	async getLLMWithFallback() {
+		const names = this.getProviderNames();
+		const name =
+			names.find((provider) => this.getBreaker(provider).state === 'closed') ||
+			names[0];
+		return this.getLLM(name);
+	}
+
+	/**
+	 * Run a call with failover: providers are tried in priority order,
+	 * skipping providers with an open circuit
+	 * @param {Function} run - async (providerName) => result
+	 * @returns {Promise<Object>} { result, provider, fallback, fallbackReason }
+	 *   provider: config of the provider that answered
+	 *   fallback: true if a higher-priority provider was skipped or failed
+	 *   fallbackReason: why the higher-priority provider was not used
+	 */
+	async callWithFailover(run) {
+		const names = this.getProviderNames();
+		let fallbackReason = null;
+		let lastError = null;
+
+		for (const [index, name] of names.entries()) {
+			const breaker = this.getBreaker(name);
+
+			if (!breaker.canRequest()) {
+				console.warn(`⏭️ Skipping ${name} (circuit ${breaker.state})`);
+				fallbackReason =
+					fallbackReason ||
+					`${name} circuit open: ${breaker.lastError?.message || 'unknown'}`;
+				continue;
+			}
+
+			try {
+				const result = await run(name);
+				breaker.recordSuccess();
+
+				// Record a change of the answering provider (the primary before the first call)
+				const previous = this.activeProvider || names[0];
+				if (previous !== name) {
+					this.costLogger.logProviderSwitch(
+						previous,
+						name,
+						fallbackReason || `${name} available again`
+					);
+				}
+				this.activeProvider = name;
+
+				return {
+					result,
+					provider: this.getProvider(name),
+					fallback: index > 0,
+					fallbackReason,
+				};
+			} catch (error) {
+				// Bad requests, validation errors and aborts say nothing about the provider's health
+				if (this.isProviderFailure(error, breaker)) {
+					breaker.recordFailure(error);
+				} else {
+					breaker.releaseTrial();
+				}
+				lastError = error;
+				fallbackReason = fallbackReason || `${name}: ${error.message}`;
+				if (index < names.length - 1) {
+					console.warn(
+						`⚠️ ${name} failed, trying next provider:`,
+						error.message
+					);
+				}
+			}
+		}
+
+		if (lastError) {
+			throw lastError;
+		}
+		throw new Error(
+			`All LLM providers unavailable (circuits open: ${names.join(', ')})`
+		);
+	}
+
+	/**
+	 * Check whether an error counts against a provider's circuit breaker:
+	 * transient errors (rate limits, server and network errors) and quota errors
+	 * @param {Error} error - Error of the call
+	 * @param {CircuitBreaker} breaker - Breaker of the provider
+	 * @returns {boolean} True if the provider failed
+	 */
+	isProviderFailure(error, breaker) {
+		return Retry.isTransient(error) || breaker.isQuotaError(error);
+	}
+
+	/**
+	 * Health of the agent providers in priority order
+	 * @returns {Object} { activeProvider, providers: [{ priority, ...provider summary, breaker }], switches }
+	 */
+	getProviderHealth() {
+		return {
+			activeProvider: this.activeProvider,
+			providers: this.getConfiguredNames().map((name, index) => {
+				const available = llmProviders.isAvailable(name);
+				return {
+					priority: index + 1,
+					...(llmProviders.getProviders().has(name)
+						? llmProviders.describe(name)
+						: { name, available }),
+					breaker: available ? this.getBreaker(name).getStatus() : null,
+				};
+			}),
+			switches: this.costLogger.getUsageStats().switches.details,
+		};
+	}
+
+	/**
+	 * Record token usage of a completed call (priced by CostCalculator)
+	 * @param {string} model - Model name
+	 * @param {Object} usage - { inputTokens, outputTokens }
+	 * @param {string|null} provider - Provider name (its own pricing comes first)
+	 */
+	logUsage(model, usage, provider = null) {
+		this.costLogger.logUsage(
+			model,
+			usage.inputTokens,
+			usage.outputTokens,
+			provider
+		);
 	}
 
 	/**
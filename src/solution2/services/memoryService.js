@@ -1,69 +1,168 @@
+import { MemorySaver } from '@langchain/langgraph';
 import { Logger } from '../../shared/utils/logger.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
+import { createConversationStore } from './conversationStore.js';
 
 /**
  * Memory Service - Solution 2
- * Manages conversation history and context in-memory
+ * Manages conversation history and context
  *
  * Features:
  * - Thread-based conversation tracking
- * - Token usage statistics
+ * - Supabase storage when configured (shared across restarts/instances), in-memory otherwise
+ * - LangGraph checkpointer for agent message state (per thread)
+ * - Token usage statistics and usage reports (per model, time window, thread)
  * - Automatic cleanup of old conversations
  */
 class MemoryService {
-	constructor() {
-		// Use Map to store conversation history
+	/**
+	 * @param {Object} store - Conversation store (async API, see conversationStore.js)
+	 */
+	constructor(store = createConversationStore()) {
 		// Key: threadId, Value: conversation history object
-		this.conversations = new Map();
+		this.store = store;
+
+		// LangGraph checkpointer - stores agent message state per thread_id
+		this.checkpointer = new MemorySaver();
+	}
+
+	/**
+	 * Get LangGraph checkpointer (shared by all agents)
+	 * @returns {MemorySaver} Checkpointer instance
+	 */
+	getCheckpointer() {
+		return this.checkpointer;
+	}
+
+	/**
+	 * Get LangGraph run config for a thread
+	 * @param {string} threadId - Thread ID
+	 * @returns {Object} Runnable config with thread_id
+	 */
+	getConfig(threadId) {
+		return {
+			configurable: {
+				thread_id: threadId,
+			},
+		};
+	}
+
+	/**
+	 * Remove checkpointed agent state for a thread
+	 * @param {string} threadId - Thread ID
+	 * @returns {boolean} Whether any agent state was removed
+	 */
+	clearCheckpoint(threadId) {
+		const hadState = threadId in this.checkpointer.storage;
+		delete this.checkpointer.storage[threadId];
+
+		// Pending writes are keyed by JSON [threadId, namespace, checkpointId]
+		for (const key of Object.keys(this.checkpointer.writes)) {
+			if (JSON.parse(key)[0] === threadId) {
+				delete this.checkpointer.writes[key];
+			}
+		}
+
+		return hadState;
+	}
+
+	/**
+	 * Checkpoints of a thread, taken before an agent run so a failed run can be rolled back
+	 * @param {string} threadId - Thread ID
+	 * @returns {Set<string>} Checkpoint keys (JSON [namespace, checkpointId])
+	 */
+	getCheckpointKeys(threadId) {
+		const keys = new Set();
+		Object.entries(this.checkpointer.storage[threadId] || {}).forEach(
+			([namespace, checkpoints]) => {
+				Object.keys(checkpoints).forEach((checkpointId) =>
+					keys.add(JSON.stringify([namespace, checkpointId]))
+				);
+			}
+		);
+		return keys;
+	}
+
+	/**
+	 * Roll back a failed agent run: remove the checkpoints and pending writes it added
+	 * (its question and any unanswered tool call), so the next provider starts from
+	 * the thread state before the run
+	 * @param {string} threadId - Thread ID
+	 * @param {Set<string>} keys - Checkpoint keys from getCheckpointKeys before the run
+	 */
+	rollbackCheckpoint(threadId, keys) {
+		const namespaces = this.checkpointer.storage[threadId] || {};
+		Object.entries(namespaces).forEach(([namespace, checkpoints]) => {
+			Object.keys(checkpoints).forEach((checkpointId) => {
+				if (!keys.has(JSON.stringify([namespace, checkpointId]))) {
+					delete checkpoints[checkpointId];
+				}
+			});
+			if (Object.keys(checkpoints).length === 0) {
+				delete namespaces[namespace];
+			}
+		});
+		if (Object.keys(namespaces).length === 0) {
+			delete this.checkpointer.storage[threadId];
+		}
+
+		// Pending writes are keyed by JSON [threadId, namespace, checkpointId]
+		for (const key of Object.keys(this.checkpointer.writes)) {
+			const [writeThreadId, namespace, checkpointId] = JSON.parse(key);
+			if (
+				writeThreadId === threadId &&
+				!keys.has(JSON.stringify([namespace, checkpointId]))
+			) {
+				delete this.checkpointer.writes[key];
+			}
+		}
 	}
 
 	/**
 	 * Save response to conversation history
+	 * Storage failures are logged, not thrown, so a paid answer is never lost to the user
 	 * @param {string} threadId - Thread ID
 	 * @param {string} query - User query
 	 * @param {string} fileAnswer - File search answer
 	 * @param {string} webAnswer - Web search answer
 	 * @param {Object} usage - Token usage information
 	 * @param {Object} metadata - Additional metadata (model, responseTime, etc.)
+	 * @returns {Promise<boolean>} Whether the entry was saved
 	 */
-	saveResponse(threadId, query, fileAnswer, webAnswer, usage, metadata = {}) {
-		// If thread doesn't exist, create new conversation
-		if (!this.conversations.has(threadId)) {
-			this.conversations.set(threadId, {
-				threadId,
-				history: [],
-				createdAt: new Date().toISOString(),
-				lastUpdated: new Date().toISOString(),
+	async saveResponse(
+		threadId,
+		query,
+		fileAnswer,
+		webAnswer,
+		usage,
+		metadata = {}
+	) {
+		try {
+			await this.store.appendEntry(threadId, {
+				query,
+				fileAnswer,
+				webAnswer,
+				usage,
+				timestamp: new Date().toISOString(),
+				...metadata,
 			});
-		}
 
-		const conversation = this.conversations.get(threadId);
-
-		// Add new conversation entry
-		conversation.history.push({
-			query,
-			fileAnswer,
-			webAnswer,
-			usage,
-			timestamp: new Date().toISOString(),
-			...metadata,
-		});
-
-		// Update last modified time
-		conversation.lastUpdated = new Date().toISOString();
-
-		Logger.info(
-			`Conversation saved - Thread: ${threadId}, Total entries: ${conversation.history.length}`
-		);
+			Logger.info(`Conversation saved - Thread: ${threadId}`);
+			return true;
+		} catch (error) {
+			Logger.error(`Failed to save conversation - Thread: ${threadId}`, error);
+			return false;
+		}
 	}
 
 	/**
 	 * Get conversation history
 	 * @param {string} threadId - Thread ID
 	 * @param {number} limit - Maximum number of entries to return (default: all)
-	 * @returns {Array} Conversation history
+	 * @returns {Promise<Array>} Conversation history
 	 */
-	getHistory(threadId, limit = null) {
-		const conversation = this.conversations.get(threadId);
+	async getHistory(threadId, limit = null) {
+		const conversation = await this.store.getConversation(threadId);
 
 		if (!conversation) {
 			return [];
@@ -84,16 +183,18 @@ class MemoryService {
 			usage: entry.usage,
 			model: entry.model,
 			responseTime: entry.responseTime,
+			mode: entry.mode || 'rag',
+			standaloneQuestion: entry.standaloneQuestion || null,
 		}));
 	}
 
 	/**
 	 * Get conversation summary information
 	 * @param {string} threadId - Thread ID
-	 * @returns {Object} Conversation summary
+	 * @returns {Promise<Object>} Conversation summary
 	 */
-	getConversationSummary(threadId) {
-		const conversation = this.conversations.get(threadId);
+	async getConversationSummary(threadId) {
+		const conversation = await this.store.getConversation(threadId);
 
 		if (!conversation) {
 			return {
@@ -102,120 +203,220 @@ class MemoryService {
 			};
 		}
 
-		// Calculate total token usage
+		return {
+			exists: true,
+			threadId,
+			messageCount: conversation.history.length,
+			createdAt: conversation.createdAt,
+			lastUpdated: conversation.lastUpdated,
+			totalUsage: this.sumUsage(conversation.history),
+		};
+	}
+
+	/**
+	 * Sum token usage and cost of history entries
+	 * @param {Array} history - History entries
+	 * @returns {Object} Total usage
+	 */
+	sumUsage(history) {
 		let totalInputTokens = 0;
 		let totalOutputTokens = 0;
 		let totalCost = 0;
 
-		conversation.history.forEach((entry) => {
+		history.forEach((entry) => {
 			if (entry.usage) {
 				totalInputTokens += entry.usage.inputTokens || 0;
 				totalOutputTokens += entry.usage.outputTokens || 0;
-				// Parse cost string (e.g., "$0.000123") to number
-				const costStr = entry.usage.cost || '0';
-				const costValue = parseFloat(costStr.replace('$', '')) || 0;
-				totalCost += costValue;
+				totalCost += this.parseCost(entry.usage.cost);
 			}
 		});
 
 		return {
-			exists: true,
-			threadId,
-			messageCount: conversation.history.length,
-			createdAt: conversation.createdAt,
-			lastUpdated: conversation.lastUpdated,
-			totalUsage: {
-				input_tokens: totalInputTokens,
-				output_tokens: totalOutputTokens,
-				total_tokens: totalInputTokens + totalOutputTokens,
-				estimated_cost: totalCost,
+			input_tokens: totalInputTokens,
+			output_tokens: totalOutputTokens,
+			total_tokens: totalInputTokens + totalOutputTokens,
+			estimated_cost: totalCost,
+		};
+	}
+
+	/**
+	 * Parse cost string (e.g., "$0.000123") to number
+	 * @param {string} cost - Formatted cost
+	 * @returns {number} Cost in USD
+	 */
+	parseCost(cost) {
+		return parseFloat(String(cost || '0').replace('$', '')) || 0;
+	}
+
+	/**
+	 * Build usage report from saved conversation entries
+	 * @param {Object} filters - Report filters
+	 * @param {string} filters.threadId - Only this thread (default: all threads)
+	 * @param {Date} filters.since - Only entries at or after this time
+	 * @param {Date} filters.until - Only entries before this time
+	 * @returns {Promise<Object>} Usage report
+	 */
+	async getUsageReport({ threadId = null, since = null, until = null } = {}) {
+		const conversations = threadId
+			? [await this.store.getConversation(threadId)].filter(Boolean)
+			: await this.store.getConversations();
+
+		const inWindow = (entry) => {
+			const timestamp = new Date(entry.timestamp);
+			return (!since || timestamp >= since) && (!until || timestamp < until);
+		};
+
+		// Threads with at least one entry in the time window
+		const matchingThreads = conversations
+			.map((conversation) => conversation.history.filter(inWindow))
+			.filter((threadEntries) => threadEntries.length > 0);
+		const entries = matchingThreads.flat();
+
+		const report = {
+			filters: {
+				threadId,
+				since: since ? since.toISOString() : null,
+				until: until ? until.toISOString() : null,
 			},
+			threads: matchingThreads.length,
+			calls: { total: 0, free: 0, paid: 0 },
+			models: {},
+			modes: {},
+			tokens: { input: 0, output: 0, total: 0 },
+			embedding: { tokens: 0, cost: 0 },
+			webSearch: { calls: 0, cost: 0 },
+			llmCost: 0,
+		};
+
+		entries.forEach((entry) => {
+			const model = entry.model || 'unknown';
+			const mode = entry.mode || 'rag';
+			const inputTokens = entry.usage?.inputTokens || 0;
+			const outputTokens = entry.usage?.outputTokens || 0;
+			const llmCost = this.parseCost(entry.usage?.cost);
+
+			// Free/paid as recorded with the entry (it depends on the provider serving
+			// the model), else from the pricing table
+			const tier =
+				entry.cost || CostCalculator.getModelPricing(model)?.cost || 'paid';
+
+			if (!report.models[model]) {
+				report.models[model] = {
+					calls: 0,
+					tier,
+					inputTokens: 0,
+					outputTokens: 0,
+					cost: 0,
+				};
+			}
+			const modelUsage = report.models[model];
+			modelUsage.calls++;
+			modelUsage.inputTokens += inputTokens;
+			modelUsage.outputTokens += outputTokens;
+			modelUsage.cost += llmCost;
+
+			report.calls.total++;
+			report.calls[tier === 'free' ? 'free' : 'paid']++;
+			report.modes[mode] = (report.modes[mode] || 0) + 1;
+
+			report.tokens.input += inputTokens;
+			report.tokens.output += outputTokens;
+			report.llmCost += llmCost;
+
+			if (entry.embeddingCost) {
+				report.embedding.tokens += entry.embeddingCost.tokens || 0;
+				report.embedding.cost += this.parseCost(entry.embeddingCost.cost);
+			}
+
+			// Entries saved before calls were recorded: RAG searches once per query
+			const webSearchCalls = entry.webSearchCalls ?? (mode === 'rag' ? 1 : 0);
+			report.webSearch.calls += webSearchCalls;
+			report.webSearch.cost += entry.webSearchCost
+				? this.parseCost(entry.webSearchCost)
+				: CostCalculator.toolCost('tavily_search', webSearchCalls);
+		});
+
+		report.tokens.total = report.tokens.input + report.tokens.output;
+
+		return {
+			...report,
+			totalCost: report.llmCost + report.embedding.cost + report.webSearch.cost,
 		};
 	}
 
+	/**
+	 * Spend of one answer (LLM + embedding + web search), recorded for budget checks
+	 * @param {Object} entry - { usage, embeddingCost, webSearchCalls, webSearchCost }
+	 * @returns {number} Spend in USD
+	 */
+	getEntryCost({ usage, embeddingCost, webSearchCalls = 0, webSearchCost }) {
+		return (
+			this.parseCost(usage?.cost) +
+			this.parseCost(embeddingCost?.cost) +
+			(webSearchCost
+				? this.parseCost(webSearchCost)
+				: CostCalculator.toolCost('tavily_search', webSearchCalls))
+		);
+	}
+
 	/**
 	 * Clear conversation history
 	 * @param {string} threadId - Thread ID
-	 * @returns {boolean} Whether clearing was successful
+	 * @returns {Promise<boolean>} Whether clearing was successful
 	 */
-	clearHistory(threadId) {
-		if (this.conversations.has(threadId)) {
-			this.conversations.delete(threadId);
+	async clearHistory(threadId) {
+		const clearedAgentState = this.clearCheckpoint(threadId);
+
+		if (await this.store.deleteConversation(threadId)) {
 			Logger.info(`Conversation history cleared - Thread: ${threadId}`);
 			return true;
 		}
-		return false;
+		return clearedAgentState;
 	}
 
 	/**
 	 * Get all active thread IDs
-	 * @returns {Array<string>} List of thread IDs
+	 * @returns {Promise<Array<string>>} List of thread IDs
 	 */
-	getActiveThreads() {
-		return Array.from(this.conversations.keys());
+	async getActiveThreads() {
+		return this.store.getThreadIds();
 	}
 
 	/**
 	 * Get conversation statistics
-	 * @returns {Object} Statistics information
+	 * @returns {Promise<Object>} Statistics information
 	 */
-	getStatistics() {
-		const threads = Array.from(this.conversations.values());
-
-		let totalMessages = 0;
-		let totalInputTokens = 0;
-		let totalOutputTokens = 0;
-		let totalCost = 0;
-
-		threads.forEach((conversation) => {
-			totalMessages += conversation.history.length;
-			conversation.history.forEach((entry) => {
-				if (entry.usage) {
-					totalInputTokens += entry.usage.inputTokens || 0;
-					totalOutputTokens += entry.usage.outputTokens || 0;
-					const costStr = entry.usage.cost || '0';
-					const costValue = parseFloat(costStr.replace('$', '')) || 0;
-					totalCost += costValue;
-				}
-			});
-		});
+	async getStatistics() {
+		const threads = await this.store.getConversations();
+		const allEntries = threads.flatMap((conversation) => conversation.history);
 
 		return {
 			activeThreads: threads.length,
-			totalMessages,
-			totalUsage: {
-				input_tokens: totalInputTokens,
-				output_tokens: totalOutputTokens,
-				total_tokens: totalInputTokens + totalOutputTokens,
-				estimated_cost: totalCost,
-			},
+			totalMessages: allEntries.length,
+			totalUsage: this.sumUsage(allEntries),
 		};
 	}
 
 	/**
 	 * Clean up old conversations (based on time)
 	 * @param {number} maxAgeHours - Maximum retention time (hours)
-	 * @returns {number} Number of conversations cleaned up
+	 * @returns {Promise<number>} Number of conversations cleaned up
 	 */
-	cleanupOldConversations(maxAgeHours = 24) {
-		const now = new Date().getTime();
+	async cleanupOldConversations(maxAgeHours = 24) {
 		const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
-		let cleaned = 0;
-
-		for (const [threadId, conversation] of this.conversations.entries()) {
-			const lastUpdated = new Date(conversation.lastUpdated).getTime();
-			if (now - lastUpdated > maxAge) {
-				this.conversations.delete(threadId);
-				cleaned++;
-				Logger.info(`Old conversation cleaned up - Thread: ${threadId}`);
-			}
-		}
+		const cutoff = new Date(Date.now() - maxAge);
+
+		const cleanedThreads = await this.store.deleteConversationsBefore(cutoff);
+		cleanedThreads.forEach((threadId) => {
+			this.clearCheckpoint(threadId);
+			Logger.info(`Old conversation cleaned up - Thread: ${threadId}`);
+		});
 
-		if (cleaned > 0) {
-			Logger.info(`Cleaned up ${cleaned} old conversations`);
+		if (cleanedThreads.length > 0) {
+			Logger.info(`Cleaned up ${cleanedThreads.length} old conversations`);
 		}
 
-		return cleaned;
+		return cleanedThreads.length;
 	}
 }
 
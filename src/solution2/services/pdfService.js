@@ -1,12 +1,26 @@
 import { SupabaseVectorStore } from '@langchain/community/vectorstores/supabase';
 import { createClient } from '@supabase/supabase-js';
 import { OpenAIEmbeddings } from '@langchain/openai';
+import OpenAI from 'openai';
 import { ErrorHandler } from '../utils/errorHandler.js';
+import { TokenCounter } from '../utils/tokenCounter.js';
+import { EmbeddingCache } from '../utils/embeddingCache.js';
+import {
+	EMBEDDING_MODELS,
+	SEARCH_MODES,
+} from '../../shared/config/constants.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
+import { Retry } from '../../shared/utils/retry.js';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const ASSETS_DIR = path.join(__dirname, '../../assets');
+
+// Texts per embeddings request when embedding in batches (ingestion)
+const EMBEDDING_BATCH_SIZE = 100;
 
 /**
  * PDF Service Class
@@ -18,7 +32,35 @@ class PDFService {
 		this.vectorStore = null;
 		this.embeddings = null;
 		this.supabaseClient = null;
+		this.openai = null;
 		this.isInitialized = false;
+		this.embeddingCache = null;
+	}
+
+	/**
+	 * Get embedding cache of query embeddings
+	 * Created on first use, after .env has been loaded
+	 * (SOLUTION2_EMBEDDING_CACHE_FILE = persist to disk)
+	 */
+	getEmbeddingCache() {
+		if (!this.embeddingCache) {
+			this.embeddingCache = new EmbeddingCache({
+				maxEntries:
+					parseInt(process.env.SOLUTION2_EMBEDDING_CACHE_SIZE, 10) || 1000,
+				filePath: process.env.SOLUTION2_EMBEDDING_CACHE_FILE || null,
+			});
+		}
+		return this.embeddingCache;
+	}
+
+	/**
+	 * Get OpenAI client (embeddings are requested directly for their token usage)
+	 */
+	getOpenAIClient() {
+		if (!this.openai) {
+			this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+		}
+		return this.openai;
 	}
 
 	/**
@@ -82,10 +124,10 @@ class PDFService {
 	async initializeEmbeddings() {
 		if (!this.embeddings) {
 			this.embeddings = new OpenAIEmbeddings({
-				modelName: 'text-embedding-3-small', // Cheapest OpenAI embedding
+				modelName: EMBEDDING_MODELS.SMALL, // Cheapest OpenAI embedding
 				apiKey: process.env.OPENAI_API_KEY,
 			});
-			console.log('✅ Using OpenAI Embeddings (text-embedding-3-small)');
+			console.log(`✅ Using OpenAI Embeddings (${EMBEDDING_MODELS.SMALL})`);
 		}
 		return this.embeddings;
 	}
@@ -147,7 +189,7 @@ class PDFService {
 	 * Load PDF from default location
 	 */
 	async loadDefaultPDF() {
-		const defaultPDFPath = path.join(__dirname, '../../assets/FK.pdf');
+		const defaultPDFPath = path.join(ASSETS_DIR, 'FK.pdf');
 		return await this.loadPDF(defaultPDFPath);
 	}
 
@@ -161,43 +203,266 @@ class PDFService {
 		return this.vectorStore;
 	}
 
+	/**
+	 * Embed a search query and read the real token count from the API response
+	 * (OpenAIEmbeddings does not expose usage, so the OpenAI client is called directly)
+	 * Repeated queries are served from the embedding cache (0 tokens)
+	 * @param {string} query - Search query
+	 * @returns {Promise<Object>} { embedding, tokens, estimated, cached }
+	 */
+	async embedQuery(query) {
+		const cachedEmbedding = this.getEmbeddingCache().get(
+			EMBEDDING_MODELS.SMALL,
+			query
+		);
+		if (cachedEmbedding) {
+			return {
+				embedding: cachedEmbedding,
+				tokens: 0,
+				estimated: false,
+				cached: true,
+			};
+		}
+
+		const response = await this.getOpenAIClient().embeddings.create({
+			model: EMBEDDING_MODELS.SMALL,
+			input: query,
+		});
+
+		const embedding = response.data[0].embedding;
+		this.getEmbeddingCache().set(EMBEDDING_MODELS.SMALL, query, embedding);
+
+		const reportedTokens = response.usage?.prompt_tokens;
+		return {
+			embedding,
+			tokens:
+				reportedTokens ?? TokenCounter.count(query, EMBEDDING_MODELS.SMALL),
+			estimated: reportedTokens === undefined,
+			cached: false,
+		};
+	}
+
+	/**
+	 * Embed many texts (document chunks) in batched requests
+	 * Not cached: a document's chunks would evict the query embeddings from the cache
+	 * (and identical documents are refused before embedding)
+	 * @param {Array<string>} texts - Texts to embed
+	 * @returns {Promise<Object>} { embeddings (same order as texts), tokens, estimated }
+	 */
+	async embedBatch(texts) {
+		const embeddings = [];
+		let tokens = 0;
+		let estimated = false;
+
+		for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+			const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+			const response = await this.getOpenAIClient().embeddings.create({
+				model: EMBEDDING_MODELS.SMALL,
+				input: batch,
+			});
+
+			// Results carry the index of their input
+			response.data.forEach((item) => {
+				embeddings[start + item.index] = item.embedding;
+			});
+
+			const reportedTokens = response.usage?.prompt_tokens;
+			if (reportedTokens === undefined) {
+				estimated = true;
+				tokens += batch.reduce(
+					(total, text) =>
+						total + TokenCounter.count(text, EMBEDDING_MODELS.SMALL),
+					0
+				);
+			} else {
+				tokens += reportedTokens;
+			}
+
+			console.log(
+				`🔢 Embedded ${Math.min(start + EMBEDDING_BATCH_SIZE, texts.length)}/${
+					texts.length
+				} texts`
+			);
+		}
+
+		return { embeddings, tokens, estimated };
+	}
+
+	/**
+	 * Embedding cache hit/miss counters
+	 */
+	getEmbeddingCacheStats() {
+		return this.getEmbeddingCache().getStats();
+	}
+
 	/**
 	 * Search for relevant documents using OpenAI embeddings
 	 * IMPORTANT: This creates embeddings ONLY for the search query, NOT for PDF content
 	 *
 	 * @param {string} query - Search query
 	 * @param {number} k - Number of results to return
-	 * @returns {Promise<Object>} - Returns documents and embedding cost info
+	 * @param {Object} options - Search options
+	 * @param {string} options.mode - 'vector' | 'hybrid' (default: SOLUTION2_SEARCH_MODE or 'vector')
+	 * @param {Object} options.filters - Metadata filters, e.g. { source, category, year }
+	 *   (chunks must contain every given value - metadata @> filter)
+	 * @param {Array<number>} options.queryEmbedding - Embedding of the query already made (answer cache
+	 *   lookup, paid there) - the query is not embedded (or counted in the embedding cache stats) again
+	 * @returns {Promise<Object>} - Returns documents (with page and similarity score), embedding cost info
+	 *   and retries (transient OpenAI / Supabase failures retried with backoff)
 	 */
-	async search(query, k = 4) {
+	async search(query, k = 4, options = {}) {
+		const mode = options.mode || this.getDefaultSearchMode();
+		const filters = options.filters || {};
+
 		try {
+			if (!SEARCH_MODES.includes(mode)) {
+				throw new Error(
+					`Unknown search mode "${mode}" (expected ${SEARCH_MODES.join(
+						' or '
+					)})`
+				);
+			}
+
 			const vectorStore = this.getVectorStore();
-			const retriever = vectorStore.asRetriever({ k });
-			const docs = await retriever.invoke(query);
 
-			// Calculate embedding cost for query (OpenAI text-embedding-3-small)
-			const queryTokens = Math.ceil(query.length / 4); // Rough estimate: 1 token ≈ 4 chars
-			const estimatedCost = (queryTokens * 0.02) / 1000000; // $0.020 / 1M tokens
+			const decide = (error, retryCount) =>
+				ErrorHandler.handleAPIError(error, { retryCount });
+
+			// Embedding and search are retried separately - the embedding is paid only once
+			const {
+				result: { embedding, tokens, estimated, cached },
+				retries: embeddingRetries,
+			} = options.queryEmbedding
+				? {
+						result: {
+							embedding: options.queryEmbedding,
+							tokens: 0,
+							estimated: false,
+							cached: false,
+						},
+						retries: 0,
+				  }
+				: await Retry.run(() => this.embedQuery(query), {
+						label: 'Query embedding',
+						decide,
+				  });
+
+			// Sorted by relevance (highest first)
+			const { result: results, retries: searchRetries } = await Retry.run(
+				async () =>
+					mode === 'hybrid'
+						? this.hybridSearch(query, embedding, k, filters)
+						: (
+								await vectorStore.similaritySearchVectorWithScore(
+									embedding,
+									k,
+									filters
+								)
+						  ).map(([doc, score]) => ({ doc, score, ranking: null })),
+				{ label: `Supabase ${mode} search`, decide }
+			);
+
+			// Embedding cost for query
 			const embeddingCost = {
-				tokens: queryTokens,
-				cost: `$${estimatedCost.toFixed(6)}`,
-				model: 'text-embedding-3-small',
+				tokens,
+				estimated, // true = counted locally, provider returned no usage
+				cached, // true = embedding cache hit (no API call)
+				cost: CostCalculator.format(
+					CostCalculator.embeddingCost(EMBEDDING_MODELS.SMALL, tokens)
+				),
+				model: EMBEDDING_MODELS.SMALL,
 			};
 
 			return {
-				content: docs.map((doc) => doc.pageContent).join('\n\n'),
-				documents: docs.map((doc, index) => ({
-					id: index + 1,
-					content: doc.pageContent,
-					metadata: doc.metadata,
-					source: doc.metadata?.source || 'FK.pdf',
-				})),
+				mode,
+				filters,
+				content: results.map(({ doc }) => doc.pageContent).join('\n\n'),
+				documents: results.map(({ doc, score, ranking }, index) => {
+					const source = doc.metadata?.source || 'FK.pdf';
+					const page = doc.metadata?.loc?.pageNumber ?? null; // PDFLoader page (1-based)
+					return {
+						id: index + 1,
+						content: doc.pageContent,
+						metadata: doc.metadata,
+						source,
+						page,
+						score, // Cosine similarity
+						ranking, // Hybrid mode: { rrfScore, keywordRank, semanticRank }
+						url: this.getDocumentUrl(source, page),
+					};
+				}),
 				embeddingCost,
+				retries: embeddingRetries + searchRetries,
 			};
 		} catch (error) {
 			console.error('❌ Search failed:', error);
-			throw ErrorHandler.handle(error, { query });
+			throw ErrorHandler.handle(error, { query, mode, filters });
+		}
+	}
+
+	/**
+	 * Default search mode from environment (SOLUTION2_SEARCH_MODE)
+	 * Vector-only until hybrid search has been evaluated
+	 */
+	getDefaultSearchMode() {
+		return process.env.SOLUTION2_SEARCH_MODE || 'vector';
+	}
+
+	/**
+	 * Hybrid search: Postgres full-text + vector rankings fused with
+	 * reciprocal rank fusion (hybrid_match_embeddings, see supabase/sql-setup.sql)
+	 * @param {string} query - Search query (keyword part)
+	 * @param {Array<number>} embedding - Query embedding (vector part)
+	 * @param {number} k - Number of results to return
+	 * @param {Object} filters - Metadata filters (metadata @> filter)
+	 * @returns {Promise<Array>} Results { doc, score, ranking } sorted by RRF score
+	 */
+	async hybridSearch(query, embedding, k, filters = {}) {
+		const supabaseClient = this.initializeSupabase();
+
+		const { data, error, status } = await supabaseClient.rpc(
+			'hybrid_match_embeddings',
+			{
+				query_text: query,
+				query_embedding: embedding,
+				match_count: k,
+				filter: filters,
+			}
+		);
+
+		if (error) {
+			const searchError = new Error(`Hybrid search failed: ${error.message}`);
+			// HTTP status lets Retry tell server errors from bad requests (0 = network error)
+			if (status) {
+				searchError.status = status;
+			}
+			throw searchError;
+		}
+
+		return data.map((row) => ({
+			doc: { pageContent: row.content, metadata: row.metadata },
+			score: row.similarity,
+			ranking: {
+				rrfScore: row.score,
+				keywordRank: row.keyword_rank, // null = no keyword match
+				semanticRank: row.semantic_rank, // null = outside vector top results
+			},
+		}));
+	}
+
+	/**
+	 * Build link to a page of a source PDF served from /assets
+	 * @param {string} source - metadata.source (file name or path from PDFLoader)
+	 * @param {number|null} page - Page number
+	 * @returns {string|null} URL, or null if the PDF is not in src/assets
+	 */
+	getDocumentUrl(source, page) {
+		const fileName = path.basename(source.replace(/\\/g, '/'));
+		if (!fs.existsSync(path.join(ASSETS_DIR, fileName))) {
+			return null;
 		}
+		const url = `/assets/${encodeURIComponent(fileName)}`;
+		return page ? `${url}#page=${page}` : url;
 	}
 
 	/**
@@ -207,7 +472,7 @@ class PDFService {
 		return {
 			initialized: this.isInitialized,
 			provider: 'OpenAI',
-			model: 'text-embedding-3-small',
+			model: EMBEDDING_MODELS.SMALL,
 		};
 	}
 }
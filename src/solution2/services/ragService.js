@@ -1,19 +1,37 @@
-import { ChatOpenAI } from '@langchain/openai';
 import { PromptTemplate } from '@langchain/core/prompts';
-import { StringOutputParser } from '@langchain/core/output_parsers';
 import { TavilySearchResults } from '@langchain/community/tools/tavily_search';
 import { pdfService } from './pdfService.js';
 import { memoryService } from './memoryService.js';
+import { rerankService } from './rerankService.js';
+import { llmProviders } from './llmProviders.js';
+import { Retry } from '../../shared/utils/retry.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
-import { OPENAI_MODELS } from '../../shared/config/constants.js';
+import { TokenCounter } from '../utils/tokenCounter.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
+import { answerCache } from '../../shared/utils/answerCache.js';
+
+// Condense step: recent turns used to rewrite follow-up questions
+const CONDENSE_HISTORY_TURNS = 3;
+const CONDENSE_ANSWER_CHARS = 500;
+
+// Retrieve-then-rerank: candidates fetched from the vector store, chunks kept for the answer
+const RERANK_CANDIDATES = 8;
+const RERANK_TOP_N = 2;
+
+// Chunks below this cosine similarity are treated as irrelevant (SOLUTION2_MIN_SIMILARITY),
+// except hybrid-search chunks that matched the keywords
+const DEFAULT_MIN_SIMILARITY = 0.3;
+const NOT_IN_DOCUMENTS_ANSWER =
+	'Dokumenten innehåller ingen information som besvarar frågan.';
 
 /**
  * RAG Service - Retrieval Augmented Generation
- * Uses OpenAI cheapest model (gpt-4o-mini) for stable performance
+ * LLM provider from SOLUTION2_LLM_PROVIDER (default: openai, gpt-4o-mini for stable performance)
  */
 class RAGService {
 	constructor() {
 		this.llm = null;
+		this.provider = null; // LLM provider config (see llmProviders.js)
 		this.tavilySearch = null;
 		this.isInitialized = false;
 		this.usageCounts = {
@@ -23,7 +41,7 @@ class RAGService {
 	}
 
 	/**
-	 * Initialize OpenAI LLM and tools
+	 * Initialize LLM and tools
 	 * Runs ONCE per server session - subsequent queries reuse initialized resources
 	 */
 	async initialize() {
@@ -35,13 +53,17 @@ class RAGService {
 		try {
 			console.log('🚀 Initializing RAG Service...');
 
-			// Initialize OpenAI LLM (cheapest model: gpt-4o-mini)
-			this.llm = new ChatOpenAI({
-				model: OPENAI_MODELS.CHEAPEST,
-				temperature: 0,
-				apiKey: process.env.OPENAI_API_KEY,
+			// Initialize LLM of the configured provider
+			const providerName = process.env.SOLUTION2_LLM_PROVIDER || 'openai';
+			this.provider = llmProviders.getConfig(providerName);
+			// Own instance without LangChain's built-in retries - failed calls are
+			// retried with Retry, so the retry count can be reported
+			this.llm = llmProviders.createChatModel(this.provider, {
+				maxRetries: 0,
 			});
-			console.log('✅ OpenAI LLM initialized (gpt-4o-mini)');
+			console.log(
+				`✅ LLM initialized: ${providerName} (${this.provider.model})`
+			);
 
 			// Initialize Tavily web search
 			this.tavilySearch = new TavilySearchResults({
@@ -70,34 +92,115 @@ class RAGService {
 	}
 
 	/**
-	 * Perform file search and return raw results (reduced to 2 for speed and accuracy)
-	 * Returns documents sorted by similarity score (highest first)
+	 * Minimum similarity a chunk needs to be used as answer context
+	 * @returns {number} Threshold (cosine similarity, 0 = keep every chunk)
+	 */
+	getMinSimilarity() {
+		const threshold = parseFloat(process.env.SOLUTION2_MIN_SIMILARITY);
+		return Number.isFinite(threshold) ? threshold : DEFAULT_MIN_SIMILARITY;
+	}
+
+	/**
+	 * Check whether a retrieved chunk may be used as answer context
+	 * Hybrid search: a keyword match counts even with low cosine similarity
+	 * (exact terms such as paragraph numbers often embed poorly)
+	 * @param {Object} doc - Retrieved chunk (score, ranking)
+	 * @param {number} minSimilarity - Threshold
+	 * @returns {boolean} True if relevant
 	 */
-	async fileSearch(query) {
+	isRelevant(doc, minSimilarity) {
+		return (
+			doc.score >= minSimilarity ||
+			(doc.ranking?.keywordRank !== null &&
+				doc.ranking?.keywordRank !== undefined)
+		);
+	}
+
+	/**
+	 * Perform file search: retrieve candidates, drop chunks below the similarity
+	 * threshold (keeping keyword matches in hybrid mode), rerank the rest and keep the best chunks
+	 * Returns documents sorted by rerank score (highest first)
+	 * @param {string} query - Search query
+	 * @param {string|null} searchMode - 'vector' | 'hybrid' (null = PDFService default)
+	 * @param {Object} filters - Metadata filters { source, category, year } (empty = all documents)
+	 * @param {Array<number>|null} queryEmbedding - Embedding of the query from the answer cache lookup (null = embed it)
+	 */
+	async fileSearch(
+		query,
+		searchMode = null,
+		filters = {},
+		queryEmbedding = null
+	) {
 		try {
 			console.log(`📄 File Search: "${query}"`);
-			const result = await pdfService.search(query, 2); // Reduced from 4 to 2
+			if (Object.keys(filters).length > 0) {
+				console.log(`   Filters: ${JSON.stringify(filters)}`);
+			}
+			const result = await pdfService.search(query, RERANK_CANDIDATES, {
+				mode: searchMode,
+				filters,
+				queryEmbedding,
+			});
+
+			const retrieved = result?.documents || [];
+			const minSimilarity = this.getMinSimilarity();
+			const relevant = retrieved.filter((doc) =>
+				this.isRelevant(doc, minSimilarity)
+			);
+			const relevance = {
+				minSimilarity,
+				retrieved: retrieved.length,
+				relevant: relevant.length,
+				keywordMatches: relevant.filter((doc) => doc.score < minSimilarity)
+					.length, // Kept below the threshold for their keyword match (hybrid)
+				bestScore:
+					retrieved.length > 0
+						? Math.max(...retrieved.map((doc) => doc.score))
+						: null,
+			};
 
-			if (!result || !result.documents || result.documents.length === 0) {
+			if (relevant.length === 0) {
+				console.log(
+					`⚠️ No chunk above similarity ${minSimilarity} or matching keywords (${retrieved.length} retrieved)`
+				);
 				return {
+					searchMode: result?.mode || searchMode,
+					filters,
 					documents: [],
 					topDocument: null,
-					embeddingCost: null,
+					relevance,
+					rerank: null,
+					embeddingCost: result?.embeddingCost || null, // Query was still embedded
+					retries: result?.retries || 0,
 				};
 			}
 
-			// Langchain retriever returns documents sorted by similarity score (descending)
-			// So documents[0] is the highest scoring (most relevant) document
-			const topDocument = result.documents[0];
+			const reranked = await rerankService.rerank(
+				query,
+				relevant,
+				RERANK_TOP_N
+			);
+
+			// documents[0] is the highest scoring (most relevant) document after reranking
+			const topDocument = reranked.documents[0];
 
 			console.log(
-				`✅ Retrieved ${result.documents.length} documents (highest score: ${topDocument.source})`
+				`✅ Retrieved ${retrieved.length} documents (${result.mode} search, ${relevant.length} relevant at ${minSimilarity}), kept ${reranked.documents.length} (highest score: ${topDocument.source}, page ${topDocument.page})`
 			);
 
 			return {
-				documents: result.documents,
-				topDocument: topDocument, // Highest similarity score document
+				searchMode: result.mode,
+				filters,
+				documents: reranked.documents, // Kept chunks with page, url and before/after rerank scores
+				topDocument: topDocument, // Highest rerank score document
+				relevance, // Similarity threshold and how many chunks passed it
+				rerank: {
+					reranker: reranked.reranker,
+					candidates: reranked.candidates, // All candidates, for tuning the pipeline
+					usage: reranked.usage,
+				},
 				embeddingCost: result.embeddingCost, // Include embedding cost
+				retries: result.retries, // Retried transient OpenAI / Supabase failures
 			};
 		} catch (error) {
 			console.error('❌ File search failed:', error);
@@ -111,7 +214,14 @@ class RAGService {
 	async webSearch(query) {
 		try {
 			console.log(`🌐 Web Search: "${query}"`);
-			const results = await this.tavilySearch.invoke(query);
+			const { result: results, retries } = await Retry.run(
+				() => this.tavilySearch.invoke(query),
+				{
+					label: 'Web search',
+					decide: (error, retryCount) =>
+						ErrorHandler.handleAPIError(error, { retryCount }),
+				}
+			);
 
 			// Parse results
 			let parsedResults = [];
@@ -132,28 +242,141 @@ class RAGService {
 
 			return {
 				results: parsedResults,
+				searchCost: CostCalculator.format(
+					CostCalculator.toolCost('tavily_search')
+				), // Tavily search call cost
+				retries,
 			};
 		} catch (error) {
 			console.error('❌ Web search failed:', error);
-			return { results: [] };
+			return {
+				results: [],
+				searchCost: CostCalculator.format(0),
+				retries: error.retries || 0,
+			};
 		}
 	}
 
 	/**
-	 * Generate answer using OpenAI LLM with retrieved context
+	 * Generate answer using the provider's LLM with retrieved context
 	 */
 	async generateAnswer(query, fileSearchResults) {
 		try {
-			console.log('🤖 Generating answer with OpenAI...');
+			console.log(`🤖 Generating answer with ${this.provider.name}...`);
 
 			// Prepare context from retrieved documents
-			const context = fileSearchResults.documents
-				.map((doc) => doc.content)
-				.join('\n\n');
+			const context = this.buildContext(fileSearchResults);
 
-			// Create prompt template
-			const answerTemplate = PromptTemplate.fromTemplate(
-				`Svara på följande fråga baserat ENDAST på den tillhandahållna kontexten:
+			// Create RAG chain (prompt → LLM)
+			const chain = this.createAnswerChain();
+			const input = { context: context, question: query };
+
+			// AIMessage carries the real token counts in usage_metadata
+			const { result: message, retries } = await Retry.run(
+				() => chain.invoke(input),
+				{
+					label: 'Answer generation',
+					decide: (error, retryCount) =>
+						ErrorHandler.handleAPIError(error, { retryCount }),
+				}
+			);
+			const answer = message.content;
+
+			return this.buildAnswerResult(
+				answer,
+				await this.getTokenUsage(message.usage_metadata, input, answer),
+				retries
+			);
+		} catch (error) {
+			console.error('❌ Answer generation failed:', error);
+			throw ErrorHandler.handle(error, { query });
+		}
+	}
+
+	/**
+	 * Generate answer with token streaming
+	 * @param {string} query - User query
+	 * @param {Object} fileSearchResults - Retrieved documents
+	 * @param {Function} onToken - Callback for each answer token
+	 * @param {AbortSignal} signal - Stops the LLM stream (client disconnected)
+	 * @returns {Promise<Object>} Answer result (same shape as generateAnswer,
+	 *   aborted: true with the usage of the tokens streamed before an abort)
+	 */
+	async generateAnswerStream(query, fileSearchResults, onToken, signal = null) {
+		const input = {
+			context: this.buildContext(fileSearchResults),
+			question: query,
+		};
+		let merged = null; // Chunks received so far
+
+		try {
+			console.log(`🤖 Streaming answer with ${this.provider.name}...`);
+
+			const chain = this.createAnswerChain();
+
+			// Retried only until the first token - sent tokens cannot be taken back
+			let streamed = false;
+			const { result: message, retries } = await Retry.run(
+				async () => {
+					const stream = await chain.stream(input, { signal });
+
+					// Merge chunks - the final chunk carries usage_metadata (streamUsage)
+					merged = null;
+					for await (const chunk of stream) {
+						merged = merged ? merged.concat(chunk) : chunk;
+						if (chunk.content) {
+							streamed = true;
+							onToken(chunk.content);
+						}
+					}
+					return merged;
+				},
+				{
+					label: 'Answer streaming',
+					decide: (error, retryCount) =>
+						ErrorHandler.handleAPIError(error, { retryCount }),
+					canRetry: () => !streamed && !signal?.aborted,
+				}
+			);
+
+			const answer = message?.content || '';
+			return this.buildAnswerResult(
+				answer,
+				await this.getTokenUsage(message?.usage_metadata, input, answer),
+				retries
+			);
+		} catch (error) {
+			if (signal?.aborted) {
+				// Tokens generated before the abort are billed - count them
+				console.log('⏹️ Answer streaming aborted (client disconnected)');
+				const answer = merged?.content || '';
+				return {
+					...this.buildAnswerResult(
+						answer,
+						await this.getTokenUsage(merged?.usage_metadata, input, answer),
+						error.retries || 0
+					),
+					aborted: true,
+				};
+			}
+			console.error('❌ Answer streaming failed:', error);
+			throw ErrorHandler.handle(error, { query });
+		}
+	}
+
+	/**
+	 * Prepare context from retrieved documents
+	 */
+	buildContext(fileSearchResults) {
+		return fileSearchResults.documents.map((doc) => doc.content).join('\n\n');
+	}
+
+	/**
+	 * Create answer prompt (Swedish RAG template)
+	 */
+	createAnswerPrompt() {
+		return PromptTemplate.fromTemplate(
+			`Svara på följande fråga baserat ENDAST på den tillhandahållna kontexten:
 
 Kontext:
 {context}
@@ -161,52 +384,444 @@ Kontext:
 Fråga: {question}
 
 Svara på svenska med exakta siffror och belopp från kontexten. Ge ett komplett och tydligt svar.`
+		);
+	}
+
+	/**
+	 * Create RAG chain: PromptTemplate → provider chat model (returns AIMessage with usage_metadata)
+	 */
+	createAnswerChain() {
+		return this.createAnswerPrompt().pipe(this.llm);
+	}
+
+	/**
+	 * Get token usage of an answer
+	 * Uses the provider's usage_metadata; only when it is missing, counts the
+	 * formatted prompt and the answer with a local tokenizer
+	 * @param {Object} usageMetadata - AIMessage usage_metadata
+	 * @param {Object} input - Prompt input (e.g. { context, question })
+	 * @param {string} answer - Generated answer
+	 * @param {PromptTemplate} prompt - Prompt the input was formatted with
+	 * @returns {Promise<Object>} { inputTokens, outputTokens, totalTokens, estimated }
+	 */
+	async getTokenUsage(
+		usageMetadata,
+		input,
+		answer,
+		prompt = this.createAnswerPrompt()
+	) {
+		if (usageMetadata) {
+			return {
+				inputTokens: usageMetadata.input_tokens,
+				outputTokens: usageMetadata.output_tokens,
+				totalTokens: usageMetadata.total_tokens,
+				estimated: false,
+			};
+		}
+
+		console.warn('⚠️ No usage_metadata from LLM - counting tokens locally');
+		const promptText = await prompt.format(input);
+		const inputTokens = TokenCounter.count(promptText, this.provider.model);
+		const outputTokens = TokenCounter.count(answer, this.provider.model);
+
+		return {
+			inputTokens,
+			outputTokens,
+			totalTokens: inputTokens + outputTokens,
+			estimated: true,
+		};
+	}
+
+	/**
+	 * Create condense prompt: follow-up question + recent turns → standalone question
+	 */
+	createCondensePrompt() {
+		return PromptTemplate.fromTemplate(
+			`Givet följande konversation och en uppföljningsfråga, formulera om uppföljningsfrågan till en fristående fråga som går att förstå utan konversationen. Behåll frågans språk. Om frågan redan är fristående, returnera den oförändrad. Svara ENDAST med den fristående frågan.
+
+Konversation:
+{history}
+
+Uppföljningsfråga: {question}
+
+Fristående fråga:`
+		);
+	}
+
+	/**
+	 * Rewrite a follow-up question into a standalone question using recent turns of the thread
+	 * @param {string} query - Latest user question
+	 * @param {string} threadId - Thread ID (no rewrite without thread or history)
+	 * @returns {Promise<Object>} { original, standalone, rewritten, usage }
+	 */
+	async condenseQuestion(query, threadId) {
+		const unchanged = {
+			original: query,
+			standalone: query,
+			rewritten: false,
+			usage: null,
+		};
+
+		if (!threadId) {
+			return unchanged;
+		}
+
+		const history = await memoryService.getHistory(
+			threadId,
+			CONDENSE_HISTORY_TURNS
+		);
+		if (history.length === 0) {
+			return unchanged;
+		}
+
+		console.log(`🔄 Condensing follow-up question (${history.length} turns)`);
+
+		// Answers are shortened - the question only needs the topic, not all details
+		const input = {
+			history: history
+				.map(
+					(entry) =>
+						`Användare: ${entry.query}\nAssistent: ${(
+							entry.fileAnswer || ''
+						).slice(0, CONDENSE_ANSWER_CHARS)}`
+				)
+				.join('\n\n'),
+			question: query,
+		};
+
+		const prompt = this.createCondensePrompt();
+		let message;
+		try {
+			({ result: message } = await Retry.run(
+				() => prompt.pipe(this.llm).invoke(input),
+				{
+					label: 'Condense step',
+					decide: (error, retryCount) =>
+						ErrorHandler.handleAPIError(error, { retryCount }),
+				}
+			));
+		} catch (error) {
+			// Answering the original question beats failing the whole query
+			console.warn('⚠️ Condense step failed, using original question:', error);
+			return unchanged;
+		}
+		const standalone = message.content.trim() || query;
+
+		console.log(`✅ Standalone question: "${standalone}"`);
+
+		return {
+			original: query,
+			standalone,
+			rewritten: standalone !== query,
+			usage: {
+				model: this.provider.model, // Condense runs on the answer LLM
+				provider: this.provider.name,
+				...(await this.getTokenUsage(
+					message.usage_metadata,
+					input,
+					standalone,
+					prompt
+				)),
+			},
+		};
+	}
+
+	/**
+	 * Condensed question for responses (without usage)
+	 */
+	describeCondensedQuestion({ original, standalone, rewritten }) {
+		return { original, standalone, rewritten };
+	}
+
+	/**
+	 * Rerank details for responses (without usage - included in total usage)
+	 */
+	describeRerank(rerank) {
+		if (!rerank) {
+			return null;
+		}
+		const { reranker, candidates } = rerank;
+		return { reranker, candidates };
+	}
+
+	/**
+	 * Add token usage of the extra LLM steps (condense, rerank) to answer usage
+	 * Each step is priced with its own model (the rerank provider may differ from the answer LLM)
+	 * @param {Object} answerUsage - Answer usage { inputTokens, outputTokens, totalTokens, estimated, cost }
+	 * @param {Object} stepUsages - { condense, rerank } step usage with model and provider (null = step made no LLM call)
+	 * @returns {Object} Combined usage with per-step model, tokens and cost
+	 */
+	addStepUsage(answerUsage, stepUsages) {
+		const steps = Object.entries(stepUsages).filter(([, usage]) => usage);
+		if (steps.length === 0) {
+			return answerUsage;
+		}
+
+		let inputTokens = answerUsage.inputTokens;
+		let outputTokens = answerUsage.outputTokens;
+		let estimated = answerUsage.estimated;
+		let cost = CostCalculator.chatCost(
+			this.provider.model,
+			answerUsage.inputTokens,
+			answerUsage.outputTokens,
+			this.provider.name
+		);
+
+		const stepDetails = {};
+		steps.forEach(([step, usage]) => {
+			const model = usage.model || this.provider.model;
+			const stepCost = CostCalculator.chatCost(
+				model,
+				usage.inputTokens,
+				usage.outputTokens,
+				usage.provider || this.provider.name
 			);
+			inputTokens += usage.inputTokens;
+			outputTokens += usage.outputTokens;
+			estimated = estimated || usage.estimated;
+			cost += stepCost;
+			stepDetails[step] = {
+				model,
+				inputTokens: usage.inputTokens,
+				outputTokens: usage.outputTokens,
+				cost: CostCalculator.format(stepCost),
+			};
+		});
 
-			// Create and invoke chain
-			const chain = answerTemplate
-				.pipe(this.llm)
-				.pipe(new StringOutputParser());
+		return {
+			inputTokens,
+			outputTokens,
+			totalTokens: inputTokens + outputTokens,
+			estimated,
+			cost: CostCalculator.format(cost),
+			...stepDetails,
+		};
+	}
 
-			const answer = await chain.invoke({
-				context: context,
-				question: query,
-			});
+	/**
+	 * Build answer result with token usage and cost, and update usage stats
+	 * @param {string} answer - Answer text
+	 * @param {Object} tokenUsage - { inputTokens, outputTokens, totalTokens, estimated }
+	 * @param {number} retries - Retried transient failures of the LLM call
+	 */
+	buildAnswerResult(answer, tokenUsage, retries = 0) {
+		const { inputTokens, outputTokens } = tokenUsage;
+		const estimatedCost = CostCalculator.chatCost(
+			this.provider.model,
+			inputTokens,
+			outputTokens,
+			this.provider.name
+		);
+		const costTier = llmProviders.getCostTier(this.provider.name);
 
-			// Calculate token usage and cost
-			const inputTokens = Math.ceil(context.length / 4);
-			const outputTokens = Math.ceil(answer.length / 4);
-			const estimatedCost = (inputTokens * 0.15 + outputTokens * 0.6) / 1000000;
+		// Update usage stats
+		this.usageCounts[costTier]++;
 
-			// Update usage stats
-			this.usageCounts.paid++;
+		console.log(
+			`✅ Answer generated with ${this.provider.name} (${this.provider.model})`
+		);
 
-			console.log('✅ Answer generated with OpenAI (gpt-4o-mini)');
+		return {
+			answer,
+			usedModel: this.provider.model,
+			cost: costTier,
+			fallback: false,
+			retries,
+			usage: {
+				...tokenUsage,
+				cost: CostCalculator.format(estimatedCost),
+			},
+		};
+	}
 
-			return {
-				answer,
-				usedModel: OPENAI_MODELS.CHEAPEST,
-				cost: 'paid',
-				fallback: false,
-				usage: {
-					inputTokens,
-					outputTokens,
-					cost: `$${estimatedCost.toFixed(6)}`,
+	/**
+	 * Answer when no chunk passed the similarity threshold - no LLM call is made
+	 */
+	buildNotInDocumentsResult() {
+		console.log('📭 Documents do not cover the question, skipping LLM');
+
+		return {
+			answer: NOT_IN_DOCUMENTS_ANSWER,
+			usedModel: null,
+			cost: 'free',
+			fallback: false,
+			retries: 0,
+			notInDocuments: true,
+			usage: this.createEmptyUsage(),
+		};
+	}
+
+	/**
+	 * Usage of an answer that made no LLM call
+	 */
+	createEmptyUsage() {
+		return {
+			inputTokens: 0,
+			outputTokens: 0,
+			totalTokens: 0,
+			estimated: false,
+			cost: CostCalculator.format(0),
+		};
+	}
+
+	/**
+	 * Answer cache context - cached answers are only reused for the same
+	 * search mode and metadata filters
+	 */
+	getCacheContext(searchMode, filters) {
+		return JSON.stringify({
+			searchMode: searchMode || pdfService.getDefaultSearchMode(),
+			filters,
+		});
+	}
+
+	/**
+	 * Sum two embedding costs ({ tokens, estimated, cost, model }, either may be null)
+	 */
+	addEmbeddingCost(a, b) {
+		if (!a || !b) {
+			return a || b || null;
+		}
+
+		const tokens = a.tokens + b.tokens;
+		return {
+			tokens,
+			estimated: a.estimated || b.estimated,
+			cost: CostCalculator.format(
+				CostCalculator.embeddingCost(a.model, tokens)
+			),
+			model: a.model,
+		};
+	}
+
+	/**
+	 * Answer from the semantic cache - no search or answer LLM call
+	 * (only the lookup embedding and a possible condense step are paid)
+	 * @param {string} query - Original user query
+	 * @param {string} threadId - Thread ID (optional)
+	 * @param {Object} condensedQuestion - Condense step result
+	 * @param {Object} cacheLookup - Answer cache lookup with hit
+	 * @param {Object} options - { onEvent, startTime }
+	 * @returns {Promise<Object>} Query result (same shape as query(), cached: true)
+	 */
+	async answerFromCache(
+		query,
+		threadId,
+		condensedQuestion,
+		cacheLookup,
+		options
+	) {
+		const { onEvent, startTime, signal } = options;
+		const { hit, embeddingCost } = cacheLookup;
+		const { fileSearchWithLLM } = hit.result;
+		const webSearch = {
+			...hit.result.webSearch,
+			searchCost: CostCalculator.format(0),
+		};
+		// The matched question is not returned: it may be another user's
+		const cache = {
+			similarity: hit.similarity,
+			cachedAt: hit.cachedAt,
+		};
+
+		console.log(
+			`⚡ Answer from cache (similarity ${hit.similarity.toFixed(3)}): "${
+				hit.question
+			}"`
+		);
+
+		if (onEvent) {
+			onEvent('retrieval', {
+				condensedQuestion: this.describeCondensedQuestion(condensedQuestion),
+				searchMode: fileSearchWithLLM.searchMode,
+				filters: fileSearchWithLLM.filters,
+				sourceDocument: fileSearchWithLLM.sourceDocument,
+				sources: fileSearchWithLLM.sources,
+				totalDocuments: fileSearchWithLLM.totalDocuments,
+				relevance: fileSearchWithLLM.relevance,
+				rerank: fileSearchWithLLM.rerank,
+				webSearch: {
+					topResult: webSearch.topResult,
+					totalResults: webSearch.totalResults,
+					skipped: webSearch.skipped,
 				},
-			};
-		} catch (error) {
-			console.error('❌ Answer generation failed:', error);
-			throw ErrorHandler.handle(error, { query });
+				cached: true,
+				cache,
+			});
+			onEvent('token', { token: fileSearchWithLLM.answer });
+		}
+
+		const usage = this.addStepUsage(this.createEmptyUsage(), {
+			condense: condensedQuestion.usage,
+		});
+		const responseTime = (Date.now() - startTime) / 1000;
+
+		// Nobody receives an aborted answer - not saved
+		if (threadId && !signal?.aborted) {
+			await memoryService.saveResponse(
+				threadId,
+				query,
+				fileSearchWithLLM.answer,
+				webSearch.topResult?.content || '',
+				usage,
+				{
+					standaloneQuestion: condensedQuestion.rewritten
+						? condensedQuestion.standalone
+						: undefined,
+					model: 'cache',
+					cost: 'free',
+					cached: true,
+					responseTime: responseTime,
+					embeddingCost,
+					webSearchCalls: 0,
+					webSearchCost: webSearch.searchCost,
+				}
+			);
 		}
+
+		return {
+			fileSearchWithLLM,
+			webSearch,
+			cached: true,
+			cache,
+			aborted: Boolean(signal?.aborted),
+			condensedQuestion: this.describeCondensedQuestion(condensedQuestion),
+			retries: { fileSearch: 0, webSearch: 0, answer: 0 },
+			usage,
+			embeddingCost,
+			totalCost: memoryService.getEntryCost({
+				usage,
+				embeddingCost,
+				webSearchCost: webSearch.searchCost,
+			}),
+			responseTime,
+		};
 	}
 
 	/**
 	 * Main query method - file search with LLM and web search
 	 * @param {string} query - User query
 	 * @param {string} threadId - Thread ID for conversation history (optional)
+	 * @param {Object} options - Query options
+	 * @param {Function} options.onEvent - Streaming callback (event, data); when set,
+	 *   emits 'retrieval' (with page-level sources, rerank scores and the condensed question) once search
+	 *   completes and 'token' for each answer token
+	 * @param {boolean} options.webSearch - Run Tavily web search (false when over budget)
+	 * @param {string} options.searchMode - File search mode 'vector' | 'hybrid' (default: PDFService default)
+	 * @param {Object} options.filters - Metadata filters { source, category, year } for file search
+	 * @param {AbortSignal} options.signal - Stops the answer stream (client disconnected); an aborted
+	 *   query is neither saved nor cached and returns aborted: true with the cost spent so far
 	 * @returns {Promise<Object>} Query result
 	 */
-	async query(query, threadId = null) {
+	async query(query, threadId = null, options = {}) {
+		const {
+			onEvent = null,
+			webSearch = true,
+			searchMode = null,
+			filters = {},
+			signal = null,
+		} = options;
+
 		try {
 			// Start time tracking
 			const startTime = Date.now();
@@ -220,24 +835,102 @@ Svara på svenska med exakta siffror och belopp från kontexten. Ge ett komplett
 				console.log(`   Thread ID: ${threadId}`);
 			}
 
+			// Rewrite follow-up questions using recent turns of the thread
+			const condensedQuestion = await this.condenseQuestion(query, threadId);
+			const question = condensedQuestion.standalone;
+
+			// Reuse the answer of a similar earlier question (same search settings)
+			const cacheLookup = await answerCache.lookup('solution2', question, {
+				context: this.getCacheContext(searchMode, filters),
+				embed: (text) => pdfService.embedQuery(text),
+			});
+			if (cacheLookup?.hit) {
+				return this.answerFromCache(
+					query,
+					threadId,
+					condensedQuestion,
+					cacheLookup,
+					{ onEvent, startTime, signal }
+				);
+			}
+
 			// Perform file search and web search in parallel
 			const [fileSearchResults, webSearchResults] = await Promise.all([
-				this.fileSearch(query),
-				this.webSearch(query),
+				// The cache lookup already embedded the question
+				this.fileSearch(
+					question,
+					searchMode,
+					filters,
+					cacheLookup?.embedding || null
+				),
+				webSearch
+					? this.webSearch(question)
+					: {
+							results: [],
+							searchCost: CostCalculator.format(0),
+							skipped: true,
+					  },
 			]);
 
+			// Emit retrieval results before the answer is generated
+			if (onEvent) {
+				onEvent('retrieval', {
+					condensedQuestion: this.describeCondensedQuestion(condensedQuestion),
+					searchMode: fileSearchResults.searchMode,
+					filters: fileSearchResults.filters,
+					sourceDocument: fileSearchResults.topDocument,
+					sources: fileSearchResults.documents,
+					totalDocuments: fileSearchResults.documents.length,
+					relevance: fileSearchResults.relevance,
+					rerank: this.describeRerank(fileSearchResults.rerank),
+					webSearch: {
+						topResult: webSearchResults.results[0] || null,
+						totalResults: webSearchResults.results.length,
+						skipped: Boolean(webSearchResults.skipped),
+					},
+				});
+			}
+
 			// Generate answer using RAG chain based on file search
-			const answerResult = await this.generateAnswer(query, fileSearchResults);
+			// (skipped when nothing relevant was retrieved)
+			let answerResult;
+			if (fileSearchResults.documents.length === 0) {
+				answerResult = this.buildNotInDocumentsResult();
+				if (onEvent) {
+					onEvent('token', { token: answerResult.answer });
+				}
+			} else {
+				answerResult = onEvent
+					? await this.generateAnswerStream(
+							question,
+							fileSearchResults,
+							(token) => onEvent('token', { token }),
+							signal
+					  )
+					: await this.generateAnswer(question, fileSearchResults);
+			}
+			const usage = this.addStepUsage(answerResult.usage, {
+				condense: condensedQuestion.usage,
+				rerank: fileSearchResults.rerank?.usage,
+			});
 
 			// Calculate response time
 			const endTime = Date.now();
 			const responseTime = (endTime - startTime) / 1000; // Convert to seconds
 
 			console.log(
-				`✅ Query completed using model: ${answerResult.usedModel} (${answerResult.cost})`
+				`✅ Query completed using model: ${answerResult.usedModel || 'none'} (${
+					answerResult.cost
+				})`
 			);
 			console.log(`⏱️ Response time: ${responseTime.toFixed(2)}s`);
 
+			// Query embedding + answer cache lookup embedding
+			const embeddingCost = this.addEmbeddingCost(
+				fileSearchResults.embeddingCost,
+				cacheLookup?.embeddingCost
+			);
+
 			const result = {
 				fileSearchWithLLM: {
 					// File search result processed by LLM
@@ -245,35 +938,79 @@ Svara på svenska med exakta siffror och belopp från kontexten. Ge ett komplett
 					model: answerResult.usedModel,
 					cost: answerResult.cost,
 					fallback: answerResult.fallback,
+					searchMode: fileSearchResults.searchMode,
+					filters: fileSearchResults.filters,
 					sourceDocument: fileSearchResults.topDocument,
+					sources: fileSearchResults.documents, // Kept chunks (page + before/after rerank scores)
 					totalDocuments: fileSearchResults.documents.length,
+					notInDocuments: Boolean(answerResult.notInDocuments),
+					relevance: fileSearchResults.relevance,
+					rerank: this.describeRerank(fileSearchResults.rerank),
 				},
 				webSearch: {
 					// Only the most relevant web result
 					topResult: webSearchResults.results[0] || null,
 					totalResults: webSearchResults.results.length,
+					searchCost: webSearchResults.searchCost,
+					skipped: Boolean(webSearchResults.skipped),
 				},
-				usage: answerResult.usage, // LLM token usage info
-				embeddingCost: fileSearchResults.embeddingCost, // Embedding cost info
+				cached: false,
+				aborted: Boolean(signal?.aborted),
+				condensedQuestion: this.describeCondensedQuestion(condensedQuestion),
+				retries: {
+					// Retried transient failures (rate limits, server and network errors)
+					fileSearch: fileSearchResults.retries,
+					webSearch: webSearchResults.retries || 0,
+					answer: answerResult.retries,
+				},
+				usage: usage, // LLM token usage info (answer + condense and rerank steps)
+				embeddingCost: embeddingCost, // Embedding cost info
+				totalCost: memoryService.getEntryCost({
+					usage,
+					embeddingCost,
+					webSearchCalls: webSearchResults.skipped ? 0 : 1,
+					webSearchCost: webSearchResults.searchCost,
+				}), // LLM + embedding + web search (USD, for budgets)
 				responseTime: responseTime, // Add response time in seconds
 			};
 
+			// Nobody receives an aborted answer - neither saved nor cached
+			if (result.aborted) {
+				return result;
+			}
+
 			// Save to conversation history if threadId is provided
 			if (threadId) {
 				const webAnswer = webSearchResults.results[0]?.content || '';
-				memoryService.saveResponse(
+				await memoryService.saveResponse(
 					threadId,
 					query,
 					answerResult.answer,
 					webAnswer,
-					answerResult.usage,
+					usage,
 					{
-						model: answerResult.usedModel,
+						standaloneQuestion: condensedQuestion.rewritten
+							? question
+							: undefined,
+						model: answerResult.usedModel || 'none',
+						cost: answerResult.cost,
+						notInDocuments: answerResult.notInDocuments,
 						responseTime: responseTime,
+						embeddingCost: embeddingCost,
+						webSearchCalls: webSearchResults.skipped ? 0 : 1,
+						webSearchCost: webSearchResults.searchCost,
 					}
 				);
 			}
 
+			// Results without web search (over budget) are incomplete - not cached
+			if (!webSearchResults.skipped) {
+				answerCache.store('solution2', question, cacheLookup, {
+					fileSearchWithLLM: result.fileSearchWithLLM,
+					webSearch: result.webSearch,
+				});
+			}
+
 			return result;
 		} catch (error) {
 			console.error('❌ Query failed:', error);
@@ -285,14 +1022,21 @@ Svara på svenska med exakta siffror och belopp från kontexten. Ge ett komplett
 	 * Get usage statistics
 	 */
 	getUsageStats() {
+		const provider = this.provider
+			? `${this.provider.model} (${this.provider.name})`
+			: 'N/A (not initialized)';
+		const costTier = this.provider
+			? llmProviders.getCostTier(this.provider.name)
+			: null;
+
 		return {
 			free: {
 				count: this.usageCounts.free,
-				model: 'N/A (not using free models)',
+				model: costTier === 'free' ? provider : 'N/A (not using free models)',
 			},
 			paid: {
 				count: this.usageCounts.paid,
-				model: OPENAI_MODELS.CHEAPEST + ' (OpenAI)',
+				model: costTier === 'paid' ? provider : 'N/A (not using paid models)',
 			},
 		};
 	}
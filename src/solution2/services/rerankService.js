@@ -0,0 +1,261 @@
+import { PromptTemplate } from '@langchain/core/prompts';
+import { z } from 'zod';
+import { TokenCounter } from '../utils/tokenCounter.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
+import { llmProviders } from './llmProviders.js';
+
+// Chunk text sent to the LLM scorer is capped to keep the rerank call cheap
+const RERANK_CHUNK_CHARS = 1000;
+
+/**
+ * Pass-through reranker - keeps the retrieval order
+ * Used when reranking is disabled (SOLUTION2_RERANKER=none)
+ */
+class NoopReranker {
+	constructor() {
+		this.name = 'none';
+	}
+
+	/**
+	 * @param {string} query - Search query
+	 * @param {Array} documents - Retrieved candidates (retrieval order)
+	 * @returns {Promise<Object>} { scores (one per document, null = not scored), usage }
+	 */
+	async score(query, documents) {
+		return { scores: documents.map(() => null), usage: null };
+	}
+}
+
+/**
+ * LLM reranker - scores every candidate 0-10 for relevance in a single call
+ * Uses structured output of the provider in SOLUTION2_RERANK_PROVIDER
+ * (default: same provider as answers, SOLUTION2_LLM_PROVIDER, then openai / gpt-4o-mini)
+ */
+class LLMReranker {
+	constructor() {
+		this.name = 'llm';
+	}
+
+	/**
+	 * Provider config used for scoring
+	 */
+	getProvider() {
+		return llmProviders.getConfig(
+			process.env.SOLUTION2_RERANK_PROVIDER ||
+				process.env.SOLUTION2_LLM_PROVIDER ||
+				'openai'
+		);
+	}
+
+	getLLM() {
+		return llmProviders.getChatModel(this.getProvider().name);
+	}
+
+	/**
+	 * Create rerank prompt (Swedish, same language as the documents)
+	 */
+	createPrompt() {
+		return PromptTemplate.fromTemplate(`
+Du bedömer hur relevanta textavsnitt är för en fråga.
+Ge varje avsnitt ett betyg från 0 (irrelevant) till 10 (besvarar frågan direkt).
+Bedöm endast innehållet, inte ordningen avsnitten visas i.
+
+Fråga: {question}
+
+Avsnitt:
+{passages}
+`);
+	}
+
+	/**
+	 * @param {string} query - Search query
+	 * @param {Array} documents - Retrieved candidates (retrieval order)
+	 * @returns {Promise<Object>} { scores (0-10, one per document), usage }
+	 */
+	async score(query, documents) {
+		const schema = z.object({
+			scores: z
+				.array(
+					z.object({
+						id: z.number().describe('Avsnittets nummer'),
+						score: z.number().describe('Relevans 0-10'),
+					})
+				)
+				.describe('Ett betyg per avsnitt'),
+		});
+
+		const input = {
+			question: query,
+			passages: documents
+				.map(
+					(doc, index) =>
+						`[${index + 1}] ${doc.content.slice(0, RERANK_CHUNK_CHARS)}`
+				)
+				.join('\n\n'),
+		};
+
+		const prompt = this.createPrompt();
+		const { raw, parsed } = await prompt
+			.pipe(
+				this.getLLM().withStructuredOutput(schema, {
+					name: 'rerank_scores',
+					includeRaw: true,
+				})
+			)
+			.invoke(input);
+
+		// Passages the model skipped score 0
+		const scoreById = new Map(
+			parsed.scores.map(({ id, score }) => [
+				id,
+				Math.min(Math.max(score, 0), 10),
+			])
+		);
+		const scores = documents.map((doc, index) => scoreById.get(index + 1) ?? 0);
+
+		return { scores, usage: await this.getUsage(raw, prompt, input) };
+	}
+
+	/**
+	 * Token usage and cost of the rerank call
+	 * Uses usage_metadata when the provider returns it, otherwise counts tokens locally
+	 */
+	async getUsage(message, prompt, input) {
+		const { name: provider, model } = this.getProvider();
+		let inputTokens = message?.usage_metadata?.input_tokens;
+		let outputTokens = message?.usage_metadata?.output_tokens;
+		const estimated = !message?.usage_metadata;
+
+		if (estimated) {
+			inputTokens = TokenCounter.count(await prompt.format(input), model);
+			outputTokens = TokenCounter.count(
+				JSON.stringify(message?.tool_calls?.[0]?.args || {}),
+				model
+			);
+		}
+
+		return {
+			model,
+			provider,
+			inputTokens,
+			outputTokens,
+			totalTokens: inputTokens + outputTokens,
+			estimated,
+			cost: CostCalculator.format(
+				CostCalculator.chatCost(model, inputTokens, outputTokens, provider)
+			),
+		};
+	}
+}
+
+/**
+ * Rerank Service - retrieve-then-rerank for Solution 2 file search
+ * Reranker is chosen with SOLUTION2_RERANKER (llm | none, default: none - llm adds one paid call per query)
+ * Further rerankers (e.g. a local cross-encoder) implement score(query, documents)
+ * and are added with register()
+ */
+class RerankService {
+	constructor() {
+		this.rerankers = new Map();
+		this.register(new LLMReranker());
+		this.register(new NoopReranker());
+	}
+
+	/**
+	 * Register a reranker
+	 * @param {Object} reranker - { name, score(query, documents) => { scores, usage } }
+	 */
+	register(reranker) {
+		this.rerankers.set(reranker.name, reranker);
+	}
+
+	/**
+	 * Configured reranker name
+	 * @returns {string} Reranker name
+	 */
+	getRerankerName() {
+		const name = process.env.SOLUTION2_RERANKER || 'none';
+		if (!this.rerankers.has(name)) {
+			throw new Error(
+				`Unknown SOLUTION2_RERANKER "${name}". Use: ${Array.from(
+					this.rerankers.keys()
+				).join(', ')}`
+			);
+		}
+		return name;
+	}
+
+	/**
+	 * Rescore retrieved candidates and keep the best topN
+	 * Falls back to retrieval order when the reranker fails
+	 * @param {string} query - Search query
+	 * @param {Array} documents - Candidates in retrieval order (with score)
+	 * @param {number} topN - Number of chunks to keep
+	 * @returns {Promise<Object>} { reranker, documents, candidates, usage }
+	 *   documents: best topN, each with retrievalRank, retrievalScore, rerankRank, rerankScore
+	 *   candidates: every candidate with before/after scores (for tuning)
+	 */
+	async rerank(query, documents, topN) {
+		let reranker = this.rerankers.get(this.getRerankerName());
+
+		let result;
+		try {
+			result = await reranker.score(query, documents);
+		} catch (error) {
+			console.warn(
+				`⚠️ ${reranker.name} reranker failed, keeping retrieval order:`,
+				error.message
+			);
+			reranker = this.rerankers.get('none');
+			result = await reranker.score(query, documents);
+		}
+
+		const scored = documents.map((doc, index) => ({
+			...doc,
+			retrievalRank: index + 1,
+			retrievalScore: doc.score,
+			rerankScore: result.scores[index],
+		}));
+
+		// Stable sort: ties (and unscored candidates) keep retrieval order
+		const ranked = [...scored]
+			.sort((a, b) => (b.rerankScore ?? 0) - (a.rerankScore ?? 0))
+			.map((doc, index) => ({ ...doc, rerankRank: index + 1 }));
+
+		if (reranker.name !== 'none') {
+			console.log(
+				`🔀 Reranked ${documents.length} candidates (${reranker.name}), kept top ${topN}`
+			);
+		}
+
+		return {
+			reranker: reranker.name,
+			documents: ranked.slice(0, topN),
+			candidates: ranked.map(
+				({
+					id,
+					source,
+					page,
+					retrievalRank,
+					retrievalScore,
+					rerankRank,
+					rerankScore,
+				}) => ({
+					id,
+					source,
+					page,
+					retrievalRank,
+					retrievalScore,
+					rerankRank,
+					rerankScore,
+				})
+			),
+			usage: result.usage,
+		};
+	}
+}
+
+// Create singleton instance
+const rerankService = new RerankService();
+
+export { RerankService, LLMReranker, NoopReranker, rerankService };
@@ -0,0 +1,170 @@
+import { ErrorHandler } from './errorHandler.js';
+
+/**
+ * Circuit Breaker - stops calling a failing LLM provider for a while
+ *
+ * States:
+ * - closed: calls allowed, consecutive failures are counted
+ * - open: calls skipped until the cool-down has passed
+ * - half-open: cool-down passed, one trial call decides (success closes, failure reopens)
+ *
+ * Trips after failureThreshold consecutive errors, or at once on a quota / rate limit
+ * response - HTTP 429 or insufficient_quota (retrying a quota-exhausted provider only wastes time)
+ */
+class CircuitBreaker {
+	/**
+	 * @param {string} name - Provider name (for logs)
+	 * @param {Object} options - Breaker options
+	 * @param {number} options.failureThreshold - Consecutive errors before the circuit opens
+	 * @param {number} options.cooldownMs - Time before the provider is tried again
+	 */
+	constructor(name, { failureThreshold = 3, cooldownMs = 60000 } = {}) {
+		this.name = name;
+		this.failureThreshold = failureThreshold;
+		this.cooldownMs = cooldownMs;
+		this.state = 'closed';
+		this.failures = 0; // Consecutive failures
+		this.openedAt = null;
+		this.lastError = null; // { message, type, at }
+		this.totals = { successes: 0, failures: 0, trips: 0 };
+	}
+
+	/**
+	 * Check whether a call may be made now
+	 * An open circuit moves to half-open once the cool-down has passed
+	 * @returns {boolean} True if the provider may be called
+	 */
+	canRequest() {
+		if (this.state === 'closed') {
+			return true;
+		}
+		if (this.state === 'open' && Date.now() >= this.getRetryAt()) {
+			this.state = 'half-open';
+			console.log(`🔌 ${this.name}: cool-down over, trying again`);
+			return true;
+		}
+		// Open, or half-open with its trial call still running
+		return false;
+	}
+
+	/**
+	 * Record a successful call (closes the circuit)
+	 */
+	recordSuccess() {
+		if (this.state !== 'closed') {
+			console.log(`✅ ${this.name}: recovered, circuit closed`);
+		}
+		this.state = 'closed';
+		this.failures = 0;
+		this.openedAt = null;
+		this.totals.successes++;
+	}
+
+	/**
+	 * Record a failed call (may open the circuit)
+	 * @param {Error} error - Error of the call
+	 * @returns {boolean} True if the circuit is open now
+	 */
+	recordFailure(error) {
+		const quotaError = this.isQuotaError(error);
+		const type = this.getFailureType(error, quotaError);
+
+		this.failures++;
+		this.totals.failures++;
+		this.lastError = {
+			message: ErrorHandler.getErrorMessage(error),
+			type,
+			at: new Date().toISOString(),
+		};
+
+		if (
+			this.state === 'half-open' ||
+			quotaError ||
+			this.failures >= this.failureThreshold
+		) {
+			this.trip();
+		}
+
+		return this.state === 'open';
+	}
+
+	/**
+	 * End a half-open trial call that failed for a reason other than the provider
+	 * (e.g. a bad request) - the next call gets a new trial
+	 */
+	releaseTrial() {
+		if (this.state === 'half-open') {
+			this.state = 'open';
+		}
+	}
+
+	/**
+	 * Quota exhausted or rate limited (HTTP 429 or insufficient_quota code only -
+	 * error messages that merely mention a "limit", e.g. context length, do not count)
+	 */
+	isQuotaError(error) {
+		return (
+			Number(error?.status ?? error?.response?.status) === 429 ||
+			error?.code === 'insufficient_quota' ||
+			error?.error?.code === 'insufficient_quota'
+		);
+	}
+
+	/**
+	 * Error type for the breaker status
+	 * QUOTA_EXCEEDED only for real quota errors (ErrorHandler.getErrorType matches on message words)
+	 */
+	getFailureType(error, quotaError) {
+		if (quotaError) {
+			return 'QUOTA_EXCEEDED';
+		}
+		const type = ErrorHandler.getErrorType(error);
+		if (type !== 'QUOTA_EXCEEDED') {
+			return type;
+		}
+		return error?.status || error?.response ? 'API_ERROR' : 'GENERIC_ERROR';
+	}
+
+	/**
+	 * Open the circuit
+	 */
+	trip() {
+		this.state = 'open';
+		this.openedAt = Date.now();
+		this.totals.trips++;
+		console.warn(
+			`⚡ ${this.name}: circuit open for ${Math.round(
+				this.cooldownMs / 1000
+			)}s (${this.lastError.type}: ${this.lastError.message})`
+		);
+	}
+
+	/**
+	 * Time the provider is tried again (ms, null when closed)
+	 */
+	getRetryAt() {
+		return this.openedAt === null ? null : this.openedAt + this.cooldownMs;
+	}
+
+	/**
+	 * Breaker state for the health API
+	 */
+	getStatus() {
+		const retryAt = this.getRetryAt();
+		return {
+			state: this.state,
+			consecutiveFailures: this.failures,
+			failureThreshold: this.failureThreshold,
+			cooldownSeconds: this.cooldownMs / 1000,
+			openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+			retryAt:
+				this.state === 'open' && retryAt
+					? new Date(retryAt).toISOString()
+					: null,
+			lastError: this.lastError,
+			totals: { ...this.totals },
+		};
+	}
+}
+
+export { CircuitBreaker };
@@ -1,14 +1,16 @@
-import { MODEL_COSTS } from '../../shared/config/constants.js';
+import { CostCalculator } from '../../shared/utils/costCalculator.js';
 
 /**
  * Cost Logger Utility
- * Tracks free and paid LLM usage
+ * Tracks free and paid LLM usage and token costs
  */
 class CostLogger {
 	constructor() {
 		this.usage = {
 			free: [],
 			paid: [],
+			tokens: [], // Completed calls with token counts
+			switches: [], // Provider failovers and recoveries
 		};
 	}
 
@@ -34,13 +36,12 @@ class CostLogger {
 	 * Log paid LLM usage
 	 */
 	logPaidLLM(provider, model, context = '') {
-		const modelInfo = MODEL_COSTS[model] || {};
+		const modelInfo = CostCalculator.getModelPricing(model, provider) || {};
 		const logEntry = {
 			provider,
 			model,
 			context,
 			timestamp: new Date().toISOString(),
-			cost: modelInfo.inputPrice || 'To be calculated',
 			modelInfo,
 		};
 
@@ -49,14 +50,49 @@ class CostLogger {
 		if (modelInfo.note) {
 			console.warn(`   📝 ${modelInfo.note}`);
 		}
-		if (modelInfo.inputPrice) {
-			console.warn(
-				`   💵 Price: Input ${modelInfo.inputPrice}, Output ${modelInfo.outputPrice}`
-			);
+		if (modelInfo.inputPerMillion !== undefined) {
+			console.warn(`   💵 Price: ${this.formatModelPrice(modelInfo)}`);
 		}
 		console.warn(`   ⚠️  Warning: This call will incur costs!`);
 	}
 
+	/**
+	 * Log a switch between LLM providers (failover or recovery)
+	 */
+	logProviderSwitch(from, to, reason = '') {
+		this.usage.switches.push({
+			from,
+			to,
+			reason,
+			timestamp: new Date().toISOString(),
+		});
+		console.warn(
+			`🔀 [LLM Switch] ${from} → ${to}${reason ? ` (${reason})` : ''}`
+		);
+	}
+
+	/**
+	 * Log token usage of a completed LLM call
+	 */
+	logUsage(model, inputTokens = 0, outputTokens = 0, provider = null) {
+		this.usage.tokens.push({
+			model,
+			inputTokens,
+			outputTokens,
+			cost: CostCalculator.chatCost(model, inputTokens, outputTokens, provider),
+			timestamp: new Date().toISOString(),
+		});
+	}
+
+	/**
+	 * Format model price from pricing entry
+	 */
+	formatModelPrice(modelInfo) {
+		return `Input ${CostCalculator.formatPrice(
+			modelInfo.inputPerMillion
+		)}, Output ${CostCalculator.formatPrice(modelInfo.outputPerMillion)}`;
+	}
+
 	/**
 	 * Get usage statistics
 	 */
@@ -71,16 +107,20 @@ class CostLogger {
 				details: this.usage.paid,
 				totalCost: this.estimateCost(),
 			},
+			switches: {
+				count: this.usage.switches.length,
+				details: this.usage.switches,
+			},
 		};
 	}
 
 	/**
-	 * Estimate cost based on token usage
+	 * Total cost of all logged token usage
 	 */
 	estimateCost() {
-		// Can be calculated based on actual token usage
-		// Currently returns a placeholder message
-		return 'To be calculated based on actual token usage';
+		return CostCalculator.format(
+			this.usage.tokens.reduce((total, entry) => total + entry.cost, 0)
+		);
 	}
 
 	/**
@@ -91,6 +131,8 @@ class CostLogger {
 		console.log('\n=== LLM Usage Statistics ===');
 		console.log(`✅ Free LLM calls: ${stats.free.count} times`);
 		console.log(`💰 Paid LLM calls: ${stats.paid.count} times`);
+		console.log(`💵 Total token cost: ${stats.paid.totalCost}`);
+		console.log(`🔀 Provider switches: ${stats.switches.count} times`);
 
 		if (stats.paid.count > 0) {
 			console.log('\n⚠️  Paid LLM Usage Details:');
@@ -103,10 +145,8 @@ class CostLogger {
 				if (entry.modelInfo?.note) {
 					console.log(`     ${entry.modelInfo.note}`);
 				}
-				if (entry.modelInfo?.inputPrice) {
-					console.log(
-						`     Price: Input ${entry.modelInfo.inputPrice}, Output ${entry.modelInfo.outputPrice}`
-					);
+				if (entry.modelInfo?.inputPerMillion !== undefined) {
+					console.log(`     Price: ${this.formatModelPrice(entry.modelInfo)}`);
 				}
 				if (entry.context) {
 					console.log(`     Reason: ${entry.context}`);
@@ -122,6 +162,8 @@ class CostLogger {
 		this.usage = {
 			free: [],
 			paid: [],
+			tokens: [], // Completed calls with token counts
+			switches: [], // Provider failovers and recoveries
 		};
 	}
 }
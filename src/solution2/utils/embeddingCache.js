@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+
+// Disk writes are batched - one write at most every second
+const PERSIST_DELAY_MS = 1000;
+
+/**
+ * Embedding Cache - LRU map of normalized text to embedding vector
+ * Repeated queries (e.g. the agent's pdf_search tool) are not embedded (and paid for) twice
+ *
+ * Optional disk persistence: JSON file loaded on start. Changes are written
+ * together shortly after the first one, asynchronously (temp file + rename),
+ * and pending changes are written synchronously on exit.
+ */
+class EmbeddingCache {
+	/**
+	 * @param {Object} options - Cache options
+	 * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+	 * @param {string|null} options.filePath - JSON file for persistence (null = memory only)
+	 */
+	constructor({ maxEntries = 1000, filePath = null } = {}) {
+		this.maxEntries = maxEntries;
+		this.filePath = filePath ? path.resolve(filePath) : null;
+		this.entries = new Map(); // Key -> embedding (Map order = least recently used first)
+		this.hits = 0;
+		this.misses = 0;
+		this.persistTimer = null;
+		this.dirty = false; // Changes not written yet
+		this.writing = null; // Running write (Promise)
+
+		if (this.filePath) {
+			this.load();
+			process.on('exit', () => this.flushSync());
+		}
+	}
+
+	/**
+	 * Normalize text so trivially different queries share an entry
+	 * (case, surrounding and repeated whitespace)
+	 */
+	normalize(text) {
+		return text.trim().replace(/\s+/g, ' ').toLowerCase();
+	}
+
+	/**
+	 * Cache key - vectors of different models are not interchangeable
+	 */
+	getKey(model, text) {
+		return `${model}:${this.normalize(text)}`;
+	}
+
+	/**
+	 * Get a cached embedding (counts a hit or miss)
+	 * @returns {Array<number>|null} Embedding or null
+	 */
+	get(model, text) {
+		const key = this.getKey(model, text);
+		const embedding = this.entries.get(key);
+
+		if (!embedding) {
+			this.misses++;
+			return null;
+		}
+
+		// Move to the end - most recently used
+		this.entries.delete(key);
+		this.entries.set(key, embedding);
+		this.hits++;
+		return embedding;
+	}
+
+	/**
+	 * Store an embedding, evicting the least recently used entries when full
+	 */
+	set(model, text, embedding) {
+		const key = this.getKey(model, text);
+		this.entries.delete(key);
+		this.entries.set(key, embedding);
+
+		while (this.entries.size > this.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+
+		this.schedulePersist();
+	}
+
+	/**
+	 * Hit/miss counters since server start
+	 */
+	getStats() {
+		const lookups = this.hits + this.misses;
+		return {
+			entries: this.entries.size,
+			maxEntries: this.maxEntries,
+			hits: this.hits,
+			misses: this.misses,
+			hitRate: lookups > 0 ? this.hits / lookups : 0,
+			persisted: Boolean(this.filePath),
+		};
+	}
+
+	/**
+	 * Load entries from disk (missing file = empty cache)
+	 */
+	load() {
+		if (!fs.existsSync(this.filePath)) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+			// File is written least recently used first - keep the newest when it is too large
+			(data.entries || [])
+				.slice(-this.maxEntries)
+				.forEach(([key, embedding]) => {
+					this.entries.set(key, embedding);
+				});
+			console.log(
+				`✅ Loaded ${this.entries.size} cached embeddings from ${this.filePath}`
+			);
+		} catch (error) {
+			console.error(
+				`❌ Failed to load embedding cache from ${this.filePath}:`,
+				error
+			);
+		}
+	}
+
+	/**
+	 * File contents for the current entries
+	 * @returns {string} JSON (least recently used first)
+	 */
+	serialize() {
+		return JSON.stringify({ entries: Array.from(this.entries.entries()) });
+	}
+
+	/**
+	 * Mark the cache changed and write it shortly after
+	 */
+	schedulePersist() {
+		if (!this.filePath) {
+			return;
+		}
+		this.dirty = true;
+		if (this.persistTimer) {
+			return;
+		}
+
+		this.persistTimer = setTimeout(() => {
+			this.persistTimer = null;
+			this.persist();
+		}, PERSIST_DELAY_MS);
+		// Do not keep scripts alive just to write the cache
+		this.persistTimer.unref();
+	}
+
+	/**
+	 * Write all entries to disk (temp file + rename, so a crash
+	 * never leaves a half-written file)
+	 * Changes made while a write is running are written right after it
+	 * @returns {Promise<void>} Resolves when everything is written
+	 */
+	async persist() {
+		if (!this.filePath) {
+			return;
+		}
+		if (this.writing) {
+			return this.writing;
+		}
+
+		this.writing = (async () => {
+			while (this.dirty) {
+				this.dirty = false;
+				try {
+					await fs.promises.mkdir(path.dirname(this.filePath), {
+						recursive: true,
+					});
+					const tempPath = `${this.filePath}.tmp`;
+					await fs.promises.writeFile(tempPath, this.serialize());
+					await fs.promises.rename(tempPath, this.filePath);
+				} catch (error) {
+					console.error(
+						`❌ Failed to write embedding cache to ${this.filePath}:`,
+						error
+					);
+				}
+			}
+		})();
+
+		try {
+			await this.writing;
+		} finally {
+			this.writing = null;
+		}
+	}
+
+	/**
+	 * Write pending changes synchronously (process exit)
+	 */
+	flushSync() {
+		// A running async write may not have read the entries yet
+		if (!this.dirty && !this.writing) {
+			return;
+		}
+		clearTimeout(this.persistTimer);
+		this.persistTimer = null;
+		this.dirty = false;
+
+		try {
+			fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+			const tempPath = `${this.filePath}.sync.tmp`;
+			fs.writeFileSync(tempPath, this.serialize());
+			fs.renameSync(tempPath, this.filePath);
+		} catch (error) {
+			console.error(
+				`❌ Failed to write embedding cache to ${this.filePath}:`,
+				error
+			);
+		}
+	}
+}
+
+export { EmbeddingCache };
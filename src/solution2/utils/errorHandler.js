@@ -87,7 +87,7 @@ class ErrorHandler {
 			return {
 				message: 'API rate limit exceeded, please retry later',
 				retry: true,
-				delay: this.calculateBackoff(),
+				delay: this.calculateBackoff((context.retryCount || 0) + 1),
 			};
 		}
 
@@ -0,0 +1,38 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import o200k_base from 'js-tiktoken/ranks/o200k_base';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+
+/**
+ * Token Counter Utility
+ * Local tokenizer (tiktoken) used ONLY when the provider returns no token counts
+ */
+class TokenCounter {
+	static encoders = new Map();
+
+	/**
+	 * Get (cached) tokenizer for a model
+	 * gpt-4o family uses o200k_base, embedding models use cl100k_base
+	 */
+	static getEncoder(model = '') {
+		const name = model.startsWith('text-embedding')
+			? 'cl100k_base'
+			: 'o200k_base';
+
+		if (!this.encoders.has(name)) {
+			const ranks = name === 'cl100k_base' ? cl100k_base : o200k_base;
+			this.encoders.set(name, new Tiktoken(ranks));
+		}
+		return this.encoders.get(name);
+	}
+
+	/**
+	 * Count tokens in a text
+	 * Non-OpenAI models (e.g. Gemini) are approximated with o200k_base
+	 */
+	static count(text, model) {
+		if (!text) return 0;
+		return this.getEncoder(model).encode(text).length;
+	}
+}
+
+export { TokenCounter };
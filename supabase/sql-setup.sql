@@ -37,4 +37,100 @@ begin
   order by embeddings.embedding <=> query_embedding
   limit match_count;
 end;
-$$;
\ No newline at end of file
+$$;
+
+-- Full-text search on chunk content (Swedish stemming) for hybrid search
+alter table embeddings add column if not exists fts tsvector
+  generated always as (to_tsvector('swedish', coalesce(content, ''))) stored;
+
+create index if not exists embeddings_fts_idx on embeddings using gin (fts);
+
+-- Hybrid search: keyword ranking + vector ranking fused with reciprocal rank fusion (RRF)
+-- score = full_text_weight / (rrf_k + keyword_rank) + semantic_weight / (rrf_k + semantic_rank)
+-- Query words are OR-ed, so one exact term (e.g. "flerbarnstillägg", "SGI", "1250") is enough to match
+create or replace function hybrid_match_embeddings (
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 4,
+  filter jsonb default '{}',
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50
+) returns table (
+  id uuid,
+  content text,
+  metadata jsonb,
+  similarity float,
+  keyword_rank int,
+  semantic_rank int,
+  score float
+)
+language sql
+as $$
+with keywords as (
+  select string_agg(quote_literal(lexeme), ' | ')::tsquery as query
+  from unnest(tsvector_to_array(to_tsvector('swedish', query_text))) as lexeme
+),
+full_text as (
+  select
+    embeddings.id,
+    row_number() over (order by ts_rank_cd(embeddings.fts, keywords.query) desc) as rank_ix
+  from embeddings, keywords
+  where embeddings.fts @@ keywords.query
+    and embeddings.metadata @> filter
+  order by rank_ix
+  limit match_count * 2
+),
+semantic as (
+  select
+    embeddings.id,
+    row_number() over (order by embeddings.embedding <=> query_embedding) as rank_ix
+  from embeddings
+  where embeddings.metadata @> filter
+  order by rank_ix
+  limit match_count * 2
+)
+select
+  embeddings.id,
+  embeddings.content,
+  embeddings.metadata,
+  1 - (embeddings.embedding <=> query_embedding) as similarity,
+  full_text.rank_ix::int as keyword_rank,
+  semantic.rank_ix::int as semantic_rank,
+  coalesce(1.0 / (rrf_k + full_text.rank_ix), 0.0) * full_text_weight +
+    coalesce(1.0 / (rrf_k + semantic.rank_ix), 0.0) * semantic_weight as score
+from full_text
+full outer join semantic on full_text.id = semantic.id
+join embeddings on embeddings.id = coalesce(full_text.id, semantic.id)
+order by score desc
+limit match_count;
+$$;
+
+-- Chunks seeded before the source was stored as a file name kept the full PDF path,
+-- so { "source": "FK.pdf" } filters missed them: keep only the file name
+update embeddings
+set metadata = jsonb_set(
+  metadata, '{source}', to_jsonb(regexp_replace(metadata->>'source', '^.*[/\\]', ''))
+)
+where metadata->>'source' ~ '[/\\]';
+
+-- Conversation history for Solution 2 (shared by all server instances)
+create table if not exists conversations (
+  thread_id text primary key,
+  created_at timestamptz not null default now(),
+  last_updated timestamptz not null default now()
+);
+
+create table if not exists messages (
+  id bigint generated always as identity primary key,
+  thread_id text not null references conversations (thread_id) on delete cascade,
+  query text not null,
+  file_answer text,
+  web_answer text,
+  usage jsonb, -- token usage and cost of the answer
+  metadata jsonb not null default '{}', -- model, responseTime, mode, ...
+  created_at timestamptz not null default now()
+);
+
+create index if not exists messages_thread_id_created_at_idx
+  on messages (thread_id, created_at);
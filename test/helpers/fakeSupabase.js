@@ -0,0 +1,239 @@
+/**
+ * Fake Supabase client - local PostgREST stand-in for tests
+ *
+ * Keeps tables in memory and supports the query builder calls the stores use
+ * (select / insert / upsert / delete, eq / lt / contains filters, order, range / limit)
+ * and the match_embeddings vector search function of supabase/sql-setup.sql.
+ * Like PostgREST, a read returns at most maxRows rows.
+ */
+
+/**
+ * Query on one table, resolved when awaited
+ */
+class FakeQuery {
+	constructor(database, table) {
+		this.database = database;
+		this.table = table;
+		this.action = 'select';
+		this.payload = null;
+		this.conflictColumn = null;
+		this.filters = [];
+		this.orders = [];
+		this.limits = null;
+		this.returning = false;
+	}
+
+	select() {
+		// After insert/upsert/delete: return the affected rows
+		if (this.action !== 'select') {
+			this.returning = true;
+		}
+		return this;
+	}
+
+	insert(rows) {
+		this.action = 'insert';
+		this.payload = [].concat(rows);
+		return this;
+	}
+
+	upsert(rows, { onConflict = 'id' } = {}) {
+		this.action = 'upsert';
+		this.payload = [].concat(rows);
+		this.conflictColumn = onConflict; // Primary key by default
+		return this;
+	}
+
+	delete() {
+		this.action = 'delete';
+		return this;
+	}
+
+	eq(column, value) {
+		this.filters.push((row) => row[column] === value);
+		return this;
+	}
+
+	lt(column, value) {
+		this.filters.push((row) => row[column] < value);
+		return this;
+	}
+
+	contains(column, value) {
+		this.filters.push((row) =>
+			Object.entries(value).every(
+				([key, expected]) => row[column]?.[key] === expected
+			)
+		);
+		return this;
+	}
+
+	order(column, { ascending = true } = {}) {
+		this.orders.push({ column, ascending });
+		return this;
+	}
+
+	range(from, to) {
+		this.limits = { from, to };
+		return this;
+	}
+
+	limit(count) {
+		return this.range(0, count - 1);
+	}
+
+	matches(row) {
+		return this.filters.every((filter) => filter(row));
+	}
+
+	run() {
+		const rows = this.database.getTable(this.table);
+
+		if (this.action === 'insert' || this.action === 'upsert') {
+			const written = this.payload.map((values) => {
+				const existing =
+					this.action === 'upsert' &&
+					values[this.conflictColumn] !== undefined &&
+					rows.find(
+						(row) => row[this.conflictColumn] === values[this.conflictColumn]
+					);
+				if (existing) {
+					return Object.assign(existing, values);
+				}
+				const row = this.database.withDefaults(values);
+				rows.push(row);
+				return row;
+			});
+			return this.returning ? written : null;
+		}
+
+		if (this.action === 'delete') {
+			const deleted = rows.filter((row) => this.matches(row));
+			this.database.tables.set(
+				this.table,
+				rows.filter((row) => !this.matches(row))
+			);
+			this.database.cascade(this.table, deleted);
+			return this.returning ? deleted : null;
+		}
+
+		const selected = rows.filter((row) => this.matches(row));
+		selected.sort((a, b) => {
+			for (const { column, ascending } of this.orders) {
+				if (a[column] !== b[column]) {
+					return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+				}
+			}
+			return 0;
+		});
+
+		const from = this.limits?.from ?? 0;
+		const to = Math.min(
+			this.limits?.to ?? Infinity,
+			from + this.database.maxRows - 1
+		);
+		this.database.requests++;
+		return selected.slice(from, to + 1).map((row) => ({ ...row }));
+	}
+
+	then(resolve, reject) {
+		let response;
+		try {
+			response = { data: this.run(), error: null };
+		} catch (error) {
+			response = { data: null, error: { message: error.message } };
+		}
+		return Promise.resolve(response).then(resolve, reject);
+	}
+}
+
+/**
+ * Cosine similarity of two vectors (pgvector: 1 - (a <=> b))
+ */
+function cosineSimilarity(a, b) {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	a.forEach((value, index) => {
+		dot += value * b[index];
+		normA += value * value;
+		normB += b[index] * b[index];
+	});
+	return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * In-memory database with the embeddings and conversation tables of supabase/sql-setup.sql
+ */
+export class FakeSupabase {
+	/**
+	 * @param {Object} options - Fake options
+	 * @param {number} options.maxRows - Rows per read (PostgREST max-rows, Supabase default: 1000)
+	 */
+	constructor({ maxRows = 1000 } = {}) {
+		this.maxRows = maxRows;
+		this.tables = new Map();
+		this.nextId = 1;
+		this.requests = 0; // Reads made (to check paging)
+	}
+
+	getTable(table) {
+		if (!this.tables.has(table)) {
+			this.tables.set(table, []);
+		}
+		return this.tables.get(table);
+	}
+
+	/**
+	 * Column defaults (identity id, timestamps, empty metadata)
+	 */
+	withDefaults(values) {
+		const now = new Date().toISOString();
+		return {
+			id: this.nextId++,
+			created_at: now,
+			last_updated: now,
+			metadata: {},
+			...values,
+		};
+	}
+
+	/**
+	 * ON DELETE CASCADE from conversations to messages
+	 */
+	cascade(table, deleted) {
+		if (table !== 'conversations') {
+			return;
+		}
+		const threadIds = new Set(deleted.map((row) => row.thread_id));
+		this.tables.set(
+			'messages',
+			this.getTable('messages').filter((row) => !threadIds.has(row.thread_id))
+		);
+	}
+
+	from(table) {
+		return new FakeQuery(this, table);
+	}
+
+	/**
+	 * Database functions (only match_embeddings: metadata @> filter, by similarity)
+	 */
+	async rpc(name, { query_embedding, match_count = null, filter = {} }) {
+		if (name !== 'match_embeddings') {
+			return { data: null, error: { message: `Unknown function ${name}` } };
+		}
+		const rows = this.getTable('embeddings')
+			.filter((row) =>
+				Object.entries(filter).every(
+					([key, expected]) => row.metadata?.[key] === expected
+				)
+			)
+			.map((row) => ({
+				...row,
+				similarity: cosineSimilarity(row.embedding, query_embedding),
+			}))
+			.sort((a, b) => b.similarity - a.similarity);
+		return { data: rows.slice(0, match_count ?? rows.length), error: null };
+	}
+}
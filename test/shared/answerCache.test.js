@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerCache } from '../../src/shared/utils/answerCache.js';
+
+const CACHE_ENV = [
+	'ANSWER_CACHE_ENABLED',
+	'ANSWER_CACHE_MIN_SIMILARITY',
+	'ANSWER_CACHE_TTL_HOURS',
+	'ANSWER_CACHE_MAX_ENTRIES',
+];
+
+// Stand-in embeddings: questions with the same first word point the same way
+const VECTORS = {
+	barnbidrag: [1, 0, 0],
+	Barnbidrag: [0.99, 0.05, 0],
+	föräldrapenning: [0, 1, 0],
+};
+const embed = async (text) => ({
+	embedding: VECTORS[text.split(/[\s?]/)[0]] || [0, 0, 1],
+	tokens: 3,
+	estimated: false,
+});
+
+// Look up a question and store a result on a miss
+const ask = async (cache, question, options = {}) => {
+	const lookup = await cache.lookup('solution2', question, {
+		embed,
+		...options,
+	});
+	if (lookup && !lookup.hit) {
+		cache.store('solution2', question, lookup, { answer: question });
+	}
+	return lookup;
+};
+
+describe('AnswerCache', () => {
+	let saved;
+
+	beforeEach(() => {
+		saved = Object.fromEntries(
+			CACHE_ENV.map((name) => [name, process.env[name]])
+		);
+		CACHE_ENV.forEach((name) => delete process.env[name]);
+	});
+
+	afterEach(() => {
+		CACHE_ENV.forEach((name) =>
+			saved[name] === undefined
+				? delete process.env[name]
+				: (process.env[name] = saved[name])
+		);
+	});
+
+	it('returns the result of a similar earlier question', async () => {
+		const cache = new AnswerCache();
+		assert.equal((await ask(cache, 'barnbidrag per månad?')).hit, null);
+
+		const lookup = await ask(cache, 'Barnbidrag hur mycket?');
+		assert.deepEqual(lookup.hit.result, { answer: 'barnbidrag per månad?' });
+		assert.ok(lookup.hit.similarity > 0.95);
+		assert.equal(lookup.embeddingCost.tokens, 3);
+	});
+
+	it('misses below the similarity threshold', async () => {
+		const cache = new AnswerCache();
+		await ask(cache, 'barnbidrag per månad?');
+
+		assert.equal((await ask(cache, 'föräldrapenning?')).hit, null);
+
+		process.env.ANSWER_CACHE_MIN_SIMILARITY = '0.9999';
+		assert.equal((await ask(cache, 'Barnbidrag hur mycket?')).hit, null);
+	});
+
+	it('keeps results of different search settings apart', async () => {
+		const cache = new AnswerCache();
+		await ask(cache, 'barnbidrag?', { context: 'vector' });
+
+		assert.equal(
+			(await ask(cache, 'barnbidrag?', { context: 'hybrid' })).hit,
+			null
+		);
+		assert.notEqual(
+			(await ask(cache, 'barnbidrag?', { context: 'vector' })).hit,
+			null
+		);
+	});
+
+	it('drops expired entries', async () => {
+		process.env.ANSWER_CACHE_TTL_HOURS = '0';
+		const cache = new AnswerCache();
+		await ask(cache, 'barnbidrag?');
+
+		assert.equal((await ask(cache, 'barnbidrag?')).hit, null);
+	});
+
+	it('evicts the oldest entries beyond ANSWER_CACHE_MAX_ENTRIES', async () => {
+		process.env.ANSWER_CACHE_MAX_ENTRIES = '1';
+		const cache = new AnswerCache();
+		await ask(cache, 'barnbidrag?');
+		await ask(cache, 'föräldrapenning?');
+
+		assert.equal((await ask(cache, 'barnbidrag?')).hit, null);
+		assert.equal(cache.entries.get('solution2').length, 1);
+	});
+
+	it('is skipped when disabled or when embedding fails', async () => {
+		const cache = new AnswerCache();
+		process.env.ANSWER_CACHE_ENABLED = 'false';
+		assert.equal(await ask(cache, 'barnbidrag?'), null);
+
+		delete process.env.ANSWER_CACHE_ENABLED;
+		const lookup = await cache.lookup('solution2', 'barnbidrag?', {
+			embed: async () => {
+				throw new Error('embedding down');
+			},
+		});
+		assert.equal(lookup, null);
+	});
+
+	it('invalidates one solution or all', async () => {
+		const cache = new AnswerCache();
+		await ask(cache, 'barnbidrag?');
+		cache.store(
+			'solution1',
+			'barnbidrag?',
+			await cache.lookup('solution1', 'barnbidrag?', { embed }),
+			{}
+		);
+
+		assert.equal(cache.invalidate('solution2'), 1);
+		assert.equal(cache.invalidate(), 1);
+		assert.equal(cache.entries.size, 0);
+	});
+});
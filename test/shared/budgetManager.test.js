@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BudgetManager } from '../../src/shared/utils/budgetManager.js';
+import { SpendLedger } from '../../src/shared/utils/spendLedger.js';
+
+const BUDGET_ENV = [
+	'BUDGET_PER_THREAD_USD',
+	'BUDGET_PER_CLIENT_DAILY_USD',
+	'BUDGET_DAILY_USD',
+	'BUDGET_GLOBAL_USD',
+	'BUDGET_ON_EXCEEDED',
+	'BUDGET_LEDGER',
+	'BUDGET_QUERY_ESTIMATE_USD',
+];
+
+describe('BudgetManager', () => {
+	let saved;
+
+	beforeEach(() => {
+		saved = Object.fromEntries(
+			BUDGET_ENV.map((name) => [name, process.env[name]])
+		);
+		BUDGET_ENV.forEach((name) => delete process.env[name]);
+		process.env.BUDGET_LEDGER = 'memory';
+	});
+
+	afterEach(() => {
+		BUDGET_ENV.forEach((name) =>
+			saved[name] === undefined
+				? delete process.env[name]
+				: (process.env[name] = saved[name])
+		);
+	});
+
+	it('allows everything without limits', () => {
+		const budget = new BudgetManager().check('solution1', { threadId: 't1' });
+		assert.equal(budget.action, 'allow');
+		assert.deepEqual(budget.exceeded, []);
+	});
+
+	it('counts settled spend per thread and solution', () => {
+		process.env.BUDGET_PER_THREAD_USD = '0.05';
+		process.env.BUDGET_QUERY_ESTIMATE_USD = '0';
+		const manager = new BudgetManager();
+
+		const { reservation } = manager.reserve('solution1', { threadId: 't1' });
+		manager.settle(reservation, 0.05);
+
+		assert.equal(
+			manager.check('solution1', { threadId: 't1' }).action,
+			'reject'
+		);
+		assert.equal(
+			manager.check('solution1', { threadId: 't2' }).action,
+			'allow'
+		);
+		assert.equal(
+			manager.check('solution2', { threadId: 't1' }).action,
+			'allow'
+		);
+	});
+
+	it('applies the client limit across new thread IDs', () => {
+		process.env.BUDGET_PER_CLIENT_DAILY_USD = '0.05';
+		process.env.BUDGET_QUERY_ESTIMATE_USD = '0';
+		const manager = new BudgetManager();
+
+		const { reservation } = manager.reserve('solution1', {
+			threadId: 't1',
+			clientId: '10.0.0.1',
+		});
+		manager.settle(reservation, 0.05);
+
+		const otherThread = manager.reserve('solution2', {
+			threadId: 'new-thread',
+			clientId: '10.0.0.1',
+		});
+		assert.equal(otherThread.action, 'reject');
+		assert.deepEqual(otherThread.exceeded, ['client']);
+		assert.equal(
+			manager
+				.check('solution1', { threadId: 't1', clientId: '10.0.0.2' })
+				.exceeded.includes('client'),
+			false
+		);
+	});
+
+	it('reserves the estimate so parallel queries cannot all pass', () => {
+		process.env.BUDGET_GLOBAL_USD = '0.03';
+		process.env.BUDGET_QUERY_ESTIMATE_USD = '0.01';
+		const manager = new BudgetManager();
+
+		const budgets = Array.from({ length: 5 }, (_, index) =>
+			manager.reserve('solution1', { threadId: `t${index}` })
+		);
+		assert.deepEqual(
+			budgets.map((budget) => budget.action),
+			['allow', 'allow', 'allow', 'reject', 'reject']
+		);
+		assert.equal(budgets[3].reservation, null);
+
+		// A failed query frees its share, a finished one records its real cost
+		manager.release(budgets[0].reservation);
+		manager.settle(budgets[1].reservation, 0.001);
+		assert.equal(manager.check('solution1').action, 'allow');
+		assert.equal(manager.check('solution1').spent.global, 0.001);
+	});
+
+	it('settles a reservation only once', () => {
+		const manager = new BudgetManager();
+		const { reservation } = manager.reserve('solution1', { threadId: 't1' });
+		manager.settle(reservation, 0.02);
+		manager.settle(reservation, 0.02);
+		manager.release(reservation);
+		assert.equal(manager.check('solution1').spent.global, 0.02);
+	});
+
+	it('degrades instead of rejecting when configured', () => {
+		process.env.BUDGET_DAILY_USD = '0';
+		process.env.BUDGET_ON_EXCEEDED = 'degrade';
+		const budget = new BudgetManager().reserve('solution1', { threadId: 't1' });
+		assert.equal(budget.action, 'degrade');
+		assert.notEqual(budget.reservation, null);
+	});
+});
+
+describe('SpendLedger', () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-ledger-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('keeps totals across restarts in an append-only file', async () => {
+		const filePath = path.join(dir, 'ledger.jsonl');
+		const ledger = new SpendLedger(filePath);
+		ledger.record({ solution: 'solution1', threadId: 't1', cost: 0.01 });
+		ledger.record({ solution: 'solution2', threadId: 't1', cost: 0.02 });
+		await ledger.persist();
+
+		assert.equal(
+			fs.readFileSync(filePath, 'utf8').trim().split('\n').length,
+			2
+		);
+
+		const reloaded = new SpendLedger(filePath);
+		const spend = reloaded.getSpend({ solution: 'solution1', threadId: 't1' });
+		assert.equal(spend.thread, 0.01);
+		assert.equal(spend.daily, 0.03);
+		assert.equal(spend.global, 0.03);
+		assert.equal(reloaded.getAverageCost('solution2'), 0.02);
+		assert.equal(reloaded.getAverageCost('unknown'), null);
+	});
+});
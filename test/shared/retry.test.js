@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Retry } from '../../src/shared/utils/retry.js';
+
+const RETRY_ENV = ['RETRY_MAX_RETRIES', 'RETRY_MAX_WAIT_SECONDS'];
+
+// Error as thrown by the OpenAI SDK
+const apiError = (status, { code, headers } = {}) =>
+	Object.assign(new Error(`${status} error`), { status, code, headers });
+
+// Fails with the given errors, then returns 'ok'
+const failing = (...errors) => {
+	const calls = [];
+	const fn = async (retryCount) => {
+		calls.push(retryCount);
+		if (errors.length > 0) {
+			throw errors.shift();
+		}
+		return 'ok';
+	};
+	return { fn, calls };
+};
+
+// Short fixed delay so tests do not wait for the real backoff
+const decide = () => ({ retry: true, delay: 1 });
+
+describe('Retry', () => {
+	let saved;
+
+	beforeEach(() => {
+		saved = Object.fromEntries(
+			RETRY_ENV.map((name) => [name, process.env[name]])
+		);
+		RETRY_ENV.forEach((name) => delete process.env[name]);
+	});
+
+	afterEach(() => {
+		RETRY_ENV.forEach((name) =>
+			saved[name] === undefined
+				? delete process.env[name]
+				: (process.env[name] = saved[name])
+		);
+	});
+
+	it('retries transient errors and reports the retries', async () => {
+		const { fn, calls } = failing(apiError(503), apiError(429));
+		const { result, retries } = await Retry.run(fn, { decide });
+
+		assert.equal(result, 'ok');
+		assert.equal(retries, 2);
+		assert.deepEqual(calls, [0, 1, 2]);
+	});
+
+	it('does not retry bad requests or an exhausted quota', async () => {
+		for (const error of [
+			apiError(400),
+			apiError(429, { code: 'insufficient_quota' }),
+		]) {
+			const { fn, calls } = failing(error);
+			await assert.rejects(Retry.run(fn, { decide }), error);
+			assert.equal(calls.length, 1);
+			assert.equal(error.retries, 0);
+		}
+	});
+
+	it('gives up after RETRY_MAX_RETRIES', async () => {
+		process.env.RETRY_MAX_RETRIES = '2';
+		const last = apiError(500);
+		const { fn, calls } = failing(apiError(500), apiError(500), last);
+
+		await assert.rejects(Retry.run(fn, { decide }), last);
+		assert.equal(calls.length, 3);
+		assert.equal(last.retries, 2);
+	});
+
+	it('waits as long as the Retry-After header asks', async () => {
+		const { fn } = failing(
+			apiError(429, { headers: { 'retry-after-ms': '50' } })
+		);
+		const startedAt = Date.now();
+		await Retry.run(fn, { decide });
+
+		assert.ok(Date.now() - startedAt >= 45);
+		assert.equal(
+			Retry.getRetryAfter(apiError(429, { headers: { 'retry-after': '2' } })),
+			2000
+		);
+	});
+
+	it('does not retry once the next wait exceeds RETRY_MAX_WAIT_SECONDS', async () => {
+		process.env.RETRY_MAX_WAIT_SECONDS = '0.01';
+		const error = apiError(429, { headers: { 'retry-after-ms': '1000' } });
+		const { fn, calls } = failing(error);
+
+		await assert.rejects(Retry.run(fn, { decide }), error);
+		assert.equal(calls.length, 1);
+	});
+
+	it('stops when the caller says no', async () => {
+		const { fn, calls } = failing(apiError(503));
+		await assert.rejects(Retry.run(fn, { decide: () => ({ retry: false }) }));
+		await assert.rejects(
+			Retry.run(failing(apiError(503)).fn, { decide, canRetry: () => false })
+		);
+		assert.equal(calls.length, 1);
+	});
+
+	it('reads the status from SDK, Tavily and LangChain Supabase errors', () => {
+		assert.equal(Retry.getStatus(apiError(502)), 502);
+		assert.equal(
+			Retry.getStatus(new Error('Request failed with status code 503')),
+			503
+		);
+		assert.equal(
+			Retry.getStatus(
+				new Error(
+					'Error searching for documents: 504 Gateway Timeout undefined'
+				)
+			),
+			504
+		);
+		assert.equal(
+			Retry.getStatus(
+				new Error('Error searching for documents: 42883 function missing null')
+			),
+			null
+		);
+		assert.equal(
+			Retry.isTransient(Object.assign(new Error('x'), { code: 'ECONNRESET' })),
+			true
+		);
+	});
+});
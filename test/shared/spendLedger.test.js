@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SpendLedger } from '../../src/shared/utils/spendLedger.js';
+
+const entry = (threadId) => ({
+	solution: 'solution2',
+	threadId,
+	clientId: 'client',
+	cost: 0.001,
+});
+
+// Thread IDs of the records in the ledger file
+const readThreads = (filePath) =>
+	fs
+		.readFileSync(filePath, 'utf8')
+		.split('\n')
+		.filter(Boolean)
+		.map((line) => JSON.parse(line).threadId);
+
+describe('SpendLedger', () => {
+	let dir;
+	let filePath;
+	let originalAppendFile;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-ledger-'));
+		filePath = path.join(dir, 'data', 'spend.jsonl');
+		originalAppendFile = fs.promises.appendFile;
+	});
+
+	afterEach(() => {
+		fs.promises.appendFile = originalAppendFile;
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('appends records in order and loads the totals on start', async () => {
+		const ledger = new SpendLedger(filePath);
+		ledger.record(entry('t1'));
+		ledger.record(entry('t2'));
+		await ledger.persist();
+
+		assert.deepEqual(readThreads(filePath), ['t1', 't2']);
+
+		const reloaded = new SpendLedger(filePath);
+		const spend = reloaded.getSpend(entry('t1'));
+		assert.equal(spend.thread, 0.001);
+		assert.equal(spend.client, 0.002);
+		assert.equal(reloaded.getAverageCost('solution2'), 0.001);
+	});
+
+	it('writes only the unwritten part of a running append on exit', async () => {
+		const ledger = new SpendLedger(filePath);
+		ledger.record(entry('t0'));
+		await ledger.persist();
+
+		// Append that stops halfway and never finishes
+		fs.promises.appendFile = (file, data) => {
+			fs.appendFileSync(file, data.subarray(0, 10));
+			return new Promise(() => {});
+		};
+		ledger.record(entry('t1'));
+		ledger.record(entry('t2'));
+		while (!ledger.inFlight) {
+			await new Promise((resolve) => setImmediate(resolve));
+		}
+		ledger.record(entry('t3'));
+
+		ledger.flushSync();
+
+		assert.deepEqual(readThreads(filePath), ['t0', 't1', 't2', 't3']);
+	});
+
+	it('keeps records in memory without a file', () => {
+		const ledger = new SpendLedger();
+		ledger.record(entry('t1'));
+
+		assert.equal(ledger.getSpend(entry('t1')).global, 0.001);
+		assert.deepEqual(ledger.pending, []);
+	});
+});
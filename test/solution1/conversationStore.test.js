@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileConversationStore } from '../../src/solution1/services/conversationStore.js';
+
+const conversation = (index) => ({
+	threadId: `t${index}`,
+	history: [{ query: `Question ${index}`, fileAnswer: `Answer ${index}` }],
+	lastUpdated: new Date(Date.UTC(2025, 0, 1, 0, 0, index)).toISOString(),
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('FileConversationStore', () => {
+	let dir;
+	let filePath;
+	let originalWriteFile;
+	let writes;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-'));
+		filePath = path.join(dir, 'data', 'conversations.json');
+
+		// Count async writes
+		writes = 0;
+		originalWriteFile = fs.promises.writeFile;
+		fs.promises.writeFile = (...args) => {
+			writes++;
+			return originalWriteFile(...args);
+		};
+	});
+
+	afterEach(() => {
+		fs.promises.writeFile = originalWriteFile;
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('starts empty without a file', () => {
+		const store = new FileConversationStore(filePath, { flushDelayMs: 10 });
+		assert.deepEqual(store.keys(), []);
+		assert.equal(fs.existsSync(filePath), false);
+	});
+
+	it('writes many changes together after the flush delay', async () => {
+		const store = new FileConversationStore(filePath, { flushDelayMs: 20 });
+		for (let index = 0; index < 100; index++) {
+			store.set(`t${index}`, conversation(index));
+		}
+
+		// Nothing is written on the request path
+		assert.equal(fs.existsSync(filePath), false);
+
+		await wait(50);
+		await store.persist();
+
+		assert.equal(writes, 1);
+		const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		assert.equal(Object.keys(data.conversations).length, 100);
+	});
+
+	it('replaces the file through a temp file', async () => {
+		const store = new FileConversationStore(filePath, { flushDelayMs: 10 });
+		store.set('t1', conversation(1));
+		await wait(30);
+		await store.persist();
+
+		assert.deepEqual(fs.readdirSync(path.dirname(filePath)), [
+			'conversations.json',
+		]);
+	});
+
+	it('writes changes made during a running write right after it', async () => {
+		const store = new FileConversationStore(filePath, { flushDelayMs: 10 });
+		store.set('t1', conversation(1));
+		store.dirty = true;
+		const running = store.persist();
+		store.set('t2', conversation(2));
+		await running;
+
+		const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		assert.deepEqual(Object.keys(data.conversations).sort(), ['t1', 't2']);
+	});
+
+	it('loads saved conversations on start', async () => {
+		const store = new FileConversationStore(filePath, { flushDelayMs: 10 });
+		store.set('t1', conversation(1));
+		store.set('t2', conversation(2));
+		store.delete('t1');
+		await wait(30);
+		await store.persist();
+
+		const reloaded = new FileConversationStore(filePath);
+		assert.deepEqual(reloaded.keys(), ['t2']);
+		assert.deepEqual(reloaded.get('t2'), conversation(2));
+	});
+
+	it('writes pending changes synchronously on exit', () => {
+		const store = new FileConversationStore(filePath, { flushDelayMs: 60000 });
+		store.set('t1', conversation(1));
+		store.flushSync();
+
+		assert.equal(writes, 0);
+		assert.deepEqual(new FileConversationStore(filePath).keys(), ['t1']);
+	});
+
+	it('keeps running with an unreadable file', () => {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, '{ not json');
+
+		const store = new FileConversationStore(filePath, { flushDelayMs: 10 });
+		assert.deepEqual(store.keys(), []);
+	});
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../../src/solution2/utils/circuitBreaker.js';
+
+const apiError = (status, message = `${status} error`) =>
+	Object.assign(new Error(message), { status });
+
+describe('CircuitBreaker', () => {
+	it('opens after failureThreshold consecutive failures', () => {
+		const breaker = new CircuitBreaker('test', { failureThreshold: 3 });
+
+		assert.equal(breaker.recordFailure(apiError(500)), false);
+		assert.equal(breaker.recordFailure(apiError(500)), false);
+		assert.equal(breaker.recordFailure(apiError(500)), true);
+		assert.equal(breaker.state, 'open');
+		assert.equal(breaker.canRequest(), false);
+		assert.equal(breaker.getStatus().totals.trips, 1);
+	});
+
+	it('resets the count on success', () => {
+		const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+
+		breaker.recordFailure(apiError(500));
+		breaker.recordSuccess();
+		breaker.recordFailure(apiError(500));
+		assert.equal(breaker.state, 'closed');
+	});
+
+	it('opens at once on a quota error only', () => {
+		const rateLimited = new CircuitBreaker('test', { failureThreshold: 3 });
+		assert.equal(rateLimited.recordFailure(apiError(429)), true);
+		assert.equal(rateLimited.lastError.type, 'QUOTA_EXCEEDED');
+
+		const quota = new CircuitBreaker('test', { failureThreshold: 3 });
+		assert.equal(
+			quota.recordFailure(
+				Object.assign(new Error('quota'), { code: 'insufficient_quota' })
+			),
+			true
+		);
+
+		// A message mentioning a "limit" is not a quota error
+		const contextLength = new CircuitBreaker('test', { failureThreshold: 3 });
+		assert.equal(
+			contextLength.recordFailure(
+				apiError(400, 'maximum context length limit exceeded')
+			),
+			false
+		);
+		assert.equal(contextLength.lastError.type, 'API_ERROR');
+	});
+
+	it('allows one trial call after the cool-down', () => {
+		const breaker = new CircuitBreaker('test', {
+			failureThreshold: 1,
+			cooldownMs: 0,
+		});
+		breaker.recordFailure(apiError(500));
+
+		assert.equal(breaker.canRequest(), true);
+		assert.equal(breaker.state, 'half-open');
+		assert.equal(breaker.canRequest(), false); // Trial still running
+
+		breaker.recordSuccess();
+		assert.equal(breaker.state, 'closed');
+		assert.equal(breaker.getStatus().consecutiveFailures, 0);
+	});
+
+	it('allows a new trial after one that failed for another reason', () => {
+		const breaker = new CircuitBreaker('test', {
+			failureThreshold: 1,
+			cooldownMs: 0,
+		});
+		breaker.recordFailure(apiError(500));
+
+		assert.equal(breaker.canRequest(), true);
+		breaker.releaseTrial();
+		assert.equal(breaker.state, 'open');
+		assert.equal(breaker.canRequest(), true);
+		assert.equal(breaker.getStatus().totals.trips, 1);
+	});
+
+	it('reopens when the trial call fails', () => {
+		const breaker = new CircuitBreaker('test', {
+			failureThreshold: 3,
+			cooldownMs: 0,
+		});
+		breaker.lastError = { message: 'down', type: 'API_ERROR' };
+		breaker.trip();
+
+		assert.equal(breaker.canRequest(), true);
+		assert.equal(breaker.recordFailure(apiError(503)), true);
+		assert.equal(breaker.state, 'open');
+	});
+});
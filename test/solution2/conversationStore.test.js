@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from '@supabase/supabase-js';
+import { SupabaseConversationStore } from '../../src/solution2/services/conversationStore.js';
+import { FakeSupabase } from '../helpers/fakeSupabase.js';
+
+/**
+ * SupabaseConversationStore against a local PostgREST stand-in (FakeSupabase),
+ * and against a real local Supabase (`supabase start` + supabase/sql-setup.sql)
+ * when SUPABASE_TEST_URL and SUPABASE_TEST_API_KEY are set
+ */
+
+const entry = (index, timestamp) => ({
+	query: `Question ${index}`,
+	fileAnswer: `File answer ${index}`,
+	webAnswer: null,
+	usage: { total_tokens: 10, cost: 0.001 },
+	timestamp,
+	model: 'gemini-2.5-flash',
+});
+
+// Timestamps in insertion order
+const at = (index) =>
+	new Date(Date.UTC(2025, 0, 1) + index * 1000).toISOString();
+
+const backends = [
+	{
+		name: 'fake PostgREST (max-rows 50)',
+		createClient: () => new FakeSupabase({ maxRows: 50 }),
+		pageSize: 50,
+	},
+];
+if (process.env.SUPABASE_TEST_URL && process.env.SUPABASE_TEST_API_KEY) {
+	backends.push({
+		name: 'local Supabase',
+		createClient: () =>
+			createClient(
+				process.env.SUPABASE_TEST_URL,
+				process.env.SUPABASE_TEST_API_KEY
+			),
+		pageSize: 1000,
+	});
+}
+
+for (const backend of backends) {
+	describe(`SupabaseConversationStore (${backend.name})`, () => {
+		const prefix = `test-${Date.now()}-`;
+		let store;
+
+		before(() => {
+			store = new SupabaseConversationStore(backend.createClient(), {
+				pageSize: backend.pageSize,
+			});
+		});
+
+		after(async () => {
+			for (const threadId of await store.getThreadIds()) {
+				if (threadId.startsWith(prefix)) {
+					await store.deleteConversation(threadId);
+				}
+			}
+		});
+
+		it('returns null for an unknown thread', async () => {
+			assert.equal(await store.getConversation(`${prefix}missing`), null);
+		});
+
+		it('round-trips entries in order with their metadata', async () => {
+			const threadId = `${prefix}round-trip`;
+			await store.appendEntry(threadId, entry(1, at(1)));
+			await store.appendEntry(threadId, entry(2, at(2)));
+
+			const conversation = await store.getConversation(threadId);
+			assert.equal(conversation.threadId, threadId);
+			assert.equal(new Date(conversation.lastUpdated).toISOString(), at(2));
+			assert.deepEqual(
+				conversation.history.map((item) => item.query),
+				['Question 1', 'Question 2']
+			);
+			assert.equal(conversation.history[0].fileAnswer, 'File answer 1');
+			assert.equal(conversation.history[0].model, 'gemini-2.5-flash');
+			assert.deepEqual(conversation.history[0].usage, {
+				total_tokens: 10,
+				cost: 0.001,
+			});
+		});
+
+		it('reads more rows than one page holds', async () => {
+			const total = backend.pageSize * 2 + 5;
+			const threadIds = [];
+			for (let index = 0; index < total; index++) {
+				const threadId = `${prefix}paged-${String(index).padStart(4, '0')}`;
+				threadIds.push(threadId);
+				await store.appendEntry(threadId, entry(index, at(index)));
+			}
+			// One thread with more messages than one page
+			const longThread = `${prefix}long`;
+			for (let index = 0; index < total; index++) {
+				await store.appendEntry(longThread, entry(index, at(index)));
+			}
+
+			const ids = await store.getThreadIds();
+			threadIds.forEach((threadId) => assert.ok(ids.includes(threadId)));
+
+			const conversations = (await store.getConversations()).filter(
+				(conversation) => conversation.threadId.startsWith(prefix)
+			);
+			const long = conversations.find(
+				(conversation) => conversation.threadId === longThread
+			);
+			assert.equal(long.history.length, total);
+			assert.equal(long.history[total - 1].query, `Question ${total - 1}`);
+			assert.equal(
+				conversations.filter((conversation) =>
+					conversation.threadId.startsWith(`${prefix}paged-`)
+				).length,
+				total
+			);
+
+			assert.equal(
+				(await store.getConversation(longThread)).history.length,
+				total
+			);
+		});
+
+		it('deletes a conversation with its messages', async () => {
+			const threadId = `${prefix}delete`;
+			await store.appendEntry(threadId, entry(1, at(1)));
+
+			assert.equal(await store.deleteConversation(threadId), true);
+			assert.equal(await store.getConversation(threadId), null);
+			assert.equal(await store.deleteConversation(threadId), false);
+		});
+
+		it('deletes conversations not updated since a cutoff', async () => {
+			const oldThread = `${prefix}old`;
+			const newThread = `${prefix}new`;
+			await store.appendEntry(oldThread, entry(1, '2000-01-01T00:00:00.000Z'));
+			await store.appendEntry(newThread, entry(2, new Date().toISOString()));
+
+			const deleted = await store.deleteConversationsBefore(
+				new Date('2001-01-01T00:00:00.000Z')
+			);
+			assert.ok(deleted.includes(oldThread));
+			assert.ok(!deleted.includes(newThread));
+			assert.notEqual(await store.getConversation(newThread), null);
+		});
+	});
+}
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EmbeddingCache } from '../../src/solution2/utils/embeddingCache.js';
+
+const MODEL = 'text-embedding-3-small';
+
+describe('EmbeddingCache', () => {
+	let dir;
+	let filePath;
+	let originalWriteFileSync;
+	let syncWrites;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-'));
+		filePath = path.join(dir, 'data', 'embeddings.json');
+
+		// Count synchronous writes
+		syncWrites = 0;
+		originalWriteFileSync = fs.writeFileSync;
+		fs.writeFileSync = (...args) => {
+			syncWrites++;
+			return originalWriteFileSync(...args);
+		};
+	});
+
+	afterEach(() => {
+		fs.writeFileSync = originalWriteFileSync;
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('counts hits and misses and evicts the least recently used entry', () => {
+		const cache = new EmbeddingCache({ maxEntries: 2 });
+		assert.equal(cache.get(MODEL, 'barnbidrag'), null);
+		cache.set(MODEL, 'barnbidrag', [1, 0]);
+		cache.set(MODEL, 'föräldrapenning', [0, 1]);
+
+		assert.deepEqual(cache.get(MODEL, '  Barnbidrag '), [1, 0]);
+		cache.set(MODEL, 'bostadsbidrag', [1, 1]);
+
+		assert.equal(cache.get(MODEL, 'föräldrapenning'), null);
+		assert.deepEqual(cache.getStats(), {
+			entries: 2,
+			maxEntries: 2,
+			hits: 1,
+			misses: 2,
+			hitRate: 1 / 3,
+			persisted: false,
+		});
+	});
+
+	it('writes changes in the background and loads them on start', async () => {
+		const cache = new EmbeddingCache({ filePath });
+		cache.set(MODEL, 'barnbidrag', [1, 0]);
+		cache.set(MODEL, 'föräldrapenning', [0, 1]);
+		await cache.persist();
+
+		assert.equal(syncWrites, 0);
+		assert.deepEqual(fs.readdirSync(path.dirname(filePath)), [
+			'embeddings.json',
+		]);
+
+		const reloaded = new EmbeddingCache({ filePath });
+		assert.deepEqual(reloaded.get(MODEL, 'föräldrapenning'), [0, 1]);
+	});
+
+	it('writes pending changes synchronously on exit', () => {
+		const cache = new EmbeddingCache({ filePath });
+		cache.set(MODEL, 'barnbidrag', [1, 0]);
+		cache.flushSync();
+
+		assert.equal(syncWrites, 1);
+		assert.deepEqual(
+			new EmbeddingCache({ filePath }).get(MODEL, 'barnbidrag'),
+			[1, 0]
+		);
+	});
+});
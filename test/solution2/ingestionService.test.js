@@ -0,0 +1,85 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SupabaseVectorStore } from '@langchain/community/vectorstores/supabase';
+import { FakeEmbeddings } from '@langchain/core/utils/testing';
+import { ingestionService } from '../../src/solution2/services/ingestionService.js';
+import { pdfService } from '../../src/solution2/services/pdfService.js';
+import { FakeSupabase } from '../helpers/fakeSupabase.js';
+
+/**
+ * Chunks of the seeded PDF (tagged like init-supabase-vector.js does) must match
+ * metadata filters on the file name, through the same match_embeddings search as queries,
+ * and uploading the same PDF again must be refused as a duplicate
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const pdfPath = path.join(__dirname, '..', '..', 'src', 'assets', 'FK.pdf');
+
+// Deterministic stand-in embeddings (one direction per chunk)
+const embed = (index) => [1, (index % 7) + 1, (index % 3) + 1];
+
+describe('IngestionService.loadChunks (seeded document)', () => {
+	const client = new FakeSupabase();
+	const vectorStore = new SupabaseVectorStore(new FakeEmbeddings(), {
+		client,
+		tableName: 'embeddings',
+		queryName: 'match_embeddings',
+	});
+	const buffer = fs.readFileSync(pdfPath);
+	let chunks;
+
+	before(async () => {
+		pdfService.supabaseClient = client;
+		({ chunks } = await ingestionService.loadChunks(pdfPath, {
+			documentId: crypto.randomUUID(),
+			source: pdfPath,
+			uploadedAt: new Date().toISOString(),
+			contentHash: ingestionService.hashContent(buffer),
+		}));
+		await vectorStore.addVectors(
+			chunks.map((chunk, index) => embed(index)),
+			chunks
+		);
+	});
+
+	it('stores the file name as source, not the path', () => {
+		assert.ok(chunks.length > 0);
+		chunks.forEach((chunk) => {
+			assert.equal(chunk.metadata.source, 'FK.pdf');
+			assert.ok(chunk.metadata.loc.pageNumber >= 1);
+		});
+	});
+
+	it('finds the seeded document with a source filter', async () => {
+		const results = await vectorStore.similaritySearchVectorWithScore(
+			embed(0),
+			4,
+			{ source: 'FK.pdf' }
+		);
+
+		assert.equal(results.length, 4);
+		results.forEach(([doc]) => assert.equal(doc.metadata.source, 'FK.pdf'));
+	});
+
+	it('matches nothing for another source', async () => {
+		const results = await vectorStore.similaritySearchVectorWithScore(
+			embed(0),
+			4,
+			{ source: 'other.pdf' }
+		);
+
+		assert.equal(results.length, 0);
+	});
+
+	it('refuses an upload of the seeded PDF as a duplicate', async () => {
+		const result = await ingestionService.ingestPDF(buffer, 'FK-copy.pdf');
+
+		assert.equal(result.duplicate, true);
+		assert.equal(result.existingSource, 'FK.pdf');
+		assert.equal(result.existingDocumentId, chunks[0].metadata.documentId);
+	});
+});